@@ -5,9 +5,16 @@
 // See: https://docusaurus.io/docs/api/docusaurus-config
 
 import {themes as prismThemes} from 'prism-react-renderer';
+import remarkPlaygroundOutputs from './plugins/playground-examples/remark.js';
 
 // This runs in Node.js - Don't use client-side code here (browser APIs, JSX...)
 
+// Build-time output of the playground examples: filled by the
+// playground-examples plugin, read by its remark plugin when the MDX files
+// compile. A Map, so it stays out of the serialized site config.
+const playgroundOutputs = new Map();
+const playgroundRemarkPlugins = [[remarkPlaygroundOutputs, {outputs: playgroundOutputs}]];
+
 /** @type {import('@docusaurus/types').Config} */
 const config = {
   title: 'Luat',
@@ -50,6 +57,7 @@ const config = {
       ({
         docs: {
           sidebarPath: './sidebars.js',
+          remarkPlugins: playgroundRemarkPlugins,
           // Please change this to your repo.
           // Remove this to remove the "edit this page" links.
           editUrl:
@@ -57,6 +65,7 @@ const config = {
         },
         blog: {
           showReadingTime: true,
+          remarkPlugins: playgroundRemarkPlugins,
           feedOptions: {
             type: ['rss', 'atom'],
             xslt: true,
@@ -97,6 +106,7 @@ const config = {
             label: 'Documentation',
           },
           {to: '/blog', label: 'Blog', position: 'left'},
+          {to: '/playground', label: 'Playground', position: 'left'},
           {
             href: 'https://github.com/maravilla-labs/luat',
             position: 'right',
@@ -169,6 +179,8 @@ const config = {
       prism: {
         theme: prismThemes.github,
         darkTheme: prismThemes.dracula,
+        // lua is also the base of the luat grammar (src/prism/luat.js)
+        additionalLanguages: ['lua'],
       },
     }),
 
@@ -189,6 +201,10 @@ const config = {
         },
       };
     },
+    // Render every <LuatPlayground> example for the static HTML and fail the
+    // build when one errors or its output no longer matches its snapshot, like
+    // onBrokenLinks for links
+    ['./plugins/playground-examples', {onBrokenExamples: 'throw', outputs: playgroundOutputs}],
   ],
 };
 
@@ -0,0 +1,109 @@
+/**
+ * Luat engine worker for Node.js
+ *
+ * The build-time counterpart of static/wasm/luat-worker.js: hosts the same
+ * WASM module in a worker thread, so that a runaway example can be stopped by
+ * terminating the thread. Messages are {id, type, ...args}; replies are
+ * {id, result} or {id, error}.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+const { parentPort, workerData } = require('worker_threads');
+
+let engine = null;
+
+// The engine's clock is stopped at this time (2025-01-01T00:00:00Z). Lua seeds
+// its string hashes, and with them the order pairs() visits a table in, from
+// the time, so on a running clock the same example can render differently from
+// one build to the next and could not be pinned in a snapshot.
+const FIXED_TIME = 1735689600000;
+
+class FixedDate extends Date {
+  constructor(...args) {
+    super(...(args.length > 0 ? args : [FIXED_TIME]));
+  }
+
+  static now() {
+    return FIXED_TIME;
+  }
+}
+
+// luat-wasm.js is built for browsers, so it runs in a context with the web
+// globals it uses, and reads the WASM binary from disk instead of fetching it
+const ready = (async () => {
+  const context = vm.createContext({
+    Date: FixedDate,
+    console,
+    // Node 18 has no global crypto
+    crypto: webcrypto,
+    performance,
+    setTimeout,
+    clearTimeout,
+    TextDecoder,
+    TextEncoder,
+    URL,
+    WebAssembly,
+  });
+  context.globalThis = context;
+  const source = fs.readFileSync(path.join(workerData.wasmDir, 'luat-wasm.js'), 'utf8');
+  vm.runInContext(`${source};globalThis.Module = Module;`, context, { filename: 'luat-wasm.js' });
+
+  engine = await context.Module({
+    wasmBinary: fs.readFileSync(path.join(workerData.wasmDir, 'luat_wasm.wasm')),
+  });
+  const result = engine.ccall('luat_init', 'number', [], []);
+  if (result !== 0) {
+    throw new Error('Failed to initialize Luat engine');
+  }
+})();
+
+const handlers = {
+  addTemplate({ path: name, source }) {
+    const r = engine.ccall('luat_add_template', 'number', ['string', 'string'], [name, source]);
+    if (r !== 0) throw new Error(`Failed to add template: ${name}`);
+    return null;
+  },
+
+  clearTemplates() {
+    engine.ccall('luat_clear_templates', 'number', [], []);
+    return null;
+  },
+
+  removeTemplate({ path: name }) {
+    engine.ccall('luat_remove_template', 'number', ['string'], [name]);
+    return null;
+  },
+
+  renderWithError({ entry, context = {} }) {
+    const resultPtr = engine.ccall('luat_render_with_error', 'number', ['string', 'string'], [entry, JSON.stringify(context)]);
+    if (resultPtr === 0) {
+      return { success: false, html: null, error: 'Internal error' };
+    }
+    const resultJson = engine.UTF8ToString(resultPtr);
+    engine._luat_free_string(resultPtr);
+    return JSON.parse(resultJson);
+  },
+
+  version() {
+    return engine.UTF8ToString(engine.ccall('luat_version', 'number', [], []));
+  },
+};
+
+ready.then(
+  () => parentPort.postMessage({ type: 'ready' }),
+  (e) => parentPort.postMessage({ type: 'error', error: e.message })
+);
+
+parentPort.on('message', async ({ id, type, ...args }) => {
+  try {
+    await ready;
+    const handler = handlers[type];
+    if (!handler) throw new Error(`Unknown message type: ${type}`);
+    parentPort.postMessage({ id, result: handler(args) });
+  } catch (e) {
+    parentPort.postMessage({ id, error: e.message });
+  }
+});
@@ -0,0 +1,108 @@
+// Client for the Luat engine running in a Node.js worker thread
+// (see engine-worker.js). Offers the same methods as the playground's leased
+// engine client, so the playground's route, KV, http and test helpers work
+// with it unchanged.
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_PATH = path.join(__dirname, 'engine-worker.js');
+
+function spawnWorker(wasmDir) {
+  const worker = new Worker(WORKER_PATH, { workerData: { wasmDir } });
+  const pending = new Map();
+  let nextId = 0;
+
+  const ready = new Promise((resolve, reject) => {
+    worker.on('message', ({ id, type, result, error }) => {
+      if (type === 'ready') {
+        resolve();
+        return;
+      }
+      if (type === 'error') {
+        reject(new Error(error));
+        return;
+      }
+
+      const request = pending.get(id);
+      if (!request) return;
+      pending.delete(id);
+      clearTimeout(request.timer);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(result);
+      }
+    });
+    worker.on('error', reject);
+  });
+
+  return {
+    ready,
+
+    call(type, args = {}, timeout = 0) {
+      const id = ++nextId;
+      return new Promise((resolve, reject) => {
+        const request = { resolve, reject, timer: null };
+        if (timeout > 0) {
+          request.timer = setTimeout(() => {
+            pending.delete(id);
+            reject(Object.assign(new Error(`Render timed out after ${timeout}ms`), { timedOut: true }));
+          }, timeout);
+        }
+        pending.set(id, request);
+        worker.postMessage({ id, type, ...args });
+      });
+    },
+
+    terminate() {
+      for (const request of pending.values()) {
+        clearTimeout(request.timer);
+        request.reject(new Error('Luat engine was stopped'));
+      }
+      pending.clear();
+      return worker.terminate();
+    },
+  };
+}
+
+/**
+ * Start an engine from the luat-wasm.js and luat_wasm.wasm files in `wasmDir`.
+ * Resolves once the WASM module is initialized. A render that times out
+ * restarts the worker, which loses every template and global; call `close()`
+ * when done.
+ */
+async function createNodeEngine(wasmDir) {
+  let worker = spawnWorker(wasmDir);
+  await worker.ready;
+
+  const call = async (type, args) => {
+    await worker.ready;
+    return worker.call(type, args);
+  };
+
+  return {
+    version: await call('version'),
+
+    addTemplate: (name, source) => call('addTemplate', { path: name, source }),
+    clearTemplates: () => call('clearTemplates'),
+    removeTemplate: (name) => call('removeTemplate', { path: name }),
+
+    async renderWithError(entry, context = {}, { timeout = 0 } = {}) {
+      await worker.ready;
+      try {
+        return await worker.call('renderWithError', { entry, context }, timeout);
+      } catch (e) {
+        if (!e.timedOut) throw e;
+        // Stop the stuck render
+        worker.terminate();
+        worker = spawnWorker(wasmDir);
+        return { success: false, html: null, error: e.message, timedOut: true };
+      }
+    },
+
+    close: () => worker.terminate(),
+  };
+}
+
+module.exports = { createNodeEngine };
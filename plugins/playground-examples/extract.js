@@ -0,0 +1,75 @@
+// Find the <LuatPlayground> examples in MDX files and read their props.
+//
+// Files are parsed with the MDX parser and the syntax extensions Docusaurus
+// enables (front matter, admonitions, HTML comments, GFM). Prop values are
+// evaluated on their own, so only self-contained expressions can be read:
+// literals, template strings, arrays and objects of them.
+
+const vm = require('vm');
+
+const COMPONENT = 'LuatPlayground';
+
+// A JavaScript expression from the MDX source, evaluated without access to anything else
+function evaluate(expression) {
+  return vm.runInNewContext(`(${expression})`, {}, { timeout: 1000 });
+}
+
+// Whether an MDX node is a <LuatPlayground> element
+function isExample(node) {
+  return (node.type === 'mdxJsxFlowElement' || node.type === 'mdxJsxTextElement') && node.name === COMPONENT;
+}
+
+/**
+ * The props of a <LuatPlayground> element. Throws when one cannot be read.
+ */
+function readProps(node) {
+  const props = {};
+  for (const attribute of node.attributes) {
+    if (attribute.type !== 'mdxJsxAttribute') {
+      throw new Error('spread props cannot be read at build time');
+    }
+    const { name, value } = attribute;
+    if (value === null || value === undefined) {
+      props[name] = true;
+    } else if (typeof value === 'string') {
+      props[name] = value;
+    } else {
+      try {
+        props[name] = evaluate(value.value);
+      } catch (e) {
+        throw new Error(`cannot read the ${name} prop: ${e.message}`);
+      }
+    }
+  }
+  return props;
+}
+
+/**
+ * The playground examples in an MDX document: [{line, props}], or
+ * [{line, error}] for examples whose props cannot be read
+ */
+async function extractExamples(source, filePath) {
+  const { createProcessor } = await import('@mdx-js/mdx');
+  const { default: frontmatter } = await import('remark-frontmatter');
+  const { default: directive } = await import('remark-directive');
+  const { default: comment } = await import('@slorber/remark-comment');
+  const { default: gfm } = await import('remark-gfm');
+  const { visit } = await import('unist-util-visit');
+
+  const processor = createProcessor({ remarkPlugins: [frontmatter, directive, comment, gfm] });
+  const tree = processor.parse({ value: source, path: filePath });
+
+  const examples = [];
+  visit(tree, (node) => {
+    if (!isExample(node)) return;
+    const line = node.position.start.line;
+    try {
+      examples.push({ line, props: readProps(node) });
+    } catch (e) {
+      examples.push({ line, error: e.message });
+    }
+  });
+  return examples;
+}
+
+module.exports = { extractExamples, isExample, readProps };
@@ -0,0 +1,203 @@
+/**
+ * Build-time rendering of the playground examples
+ *
+ * Renders every <LuatPlayground> example in the docs and the blog through the
+ * bundled WASM engine. The output is handed to the MDX compiler (see
+ * ./remark.js), so each playground is server-rendered with its output instead
+ * of a loading message and each page only ships its own. Examples that fail are
+ * reported after the build, so an engine upgrade or an edit that breaks an
+ * example shows up in the build rather than on the page.
+ *
+ * The output of each example is also pinned in a snapshot next to its MDX file
+ * (see ./snapshots.js). Output that no longer matches is reported like a
+ * failing example; `docusaurus update-snapshots` (npm run update-snapshots)
+ * renders the examples and rewrites the snapshots.
+ *
+ * Options:
+ * - onBrokenExamples: 'throw' fails the build, 'warn' only prints the report,
+ *                     'ignore' skips the report (like onBrokenLinks)
+ * - outputs: Map that the output of each example is put in, keyed by
+ *            exampleKey, for the remark plugin to read; null to not publish it
+ * - include: Directories, relative to the site, whose .mdx files are rendered
+ * - snapshots: Compare the output of the examples with their snapshots
+ *
+ * Written as CommonJS: Docusaurus loads plugins through jiti, which cannot
+ * load the ESM-only MDX packages, while Node's own import() can.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { createNodeEngine } = require('./engine');
+const { extractExamples } = require('./extract');
+const { exampleFiles, exampleLabel, renderExample } = require('./render');
+const { UPDATE_COMMAND, checkSnapshots, updateSnapshots } = require('./snapshots');
+const { exampleKey } = require('../../src/components/LuatPlayground/prerender');
+
+const DEFAULT_OPTIONS = {
+  onBrokenExamples: 'throw',
+  outputs: null,
+  include: ['docs', 'blog'],
+  snapshots: true,
+};
+
+// The .mdx files under a directory, relative to the site. Walked one level at
+// a time: readdir's recursive option needs Node 18.17 and older versions
+// ignore it.
+async function findMdxIn(siteDir, dir) {
+  const found = [];
+  for (const entry of await fs.readdir(path.join(siteDir, dir), { withFileTypes: true })) {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      found.push(...await findMdxIn(siteDir, file));
+    } else if (entry.name.endsWith('.mdx')) {
+      found.push(file);
+    }
+  }
+  return found;
+}
+
+async function findMdxFiles(siteDir, include) {
+  const found = [];
+  for (const dir of include) {
+    found.push(...await findMdxIn(siteDir, dir));
+  }
+  return found.sort();
+}
+
+// Render the examples: {version, checked, files, outputs: {key: html}, broken, skipped},
+// where files lists {file, examples: [{location, key, label, html}]} for each
+// MDX file (html is only set for rendered pages), and broken and skipped list
+// {location, message}
+async function renderExamples(siteDir, include) {
+  const engine = await createNodeEngine(path.join(siteDir, 'static/wasm'));
+  const files = [];
+  const outputs = {};
+  const broken = [];
+  const skipped = [];
+  let checked = 0;
+  try {
+    for (const file of await findMdxFiles(siteDir, include)) {
+      const source = await fs.readFile(path.join(siteDir, file), 'utf8');
+      const examples = [];
+      for (const example of await extractExamples(source, file)) {
+        const location = `${file.split(path.sep).join('/')}:${example.line}`;
+        checked++;
+        if (example.error) {
+          broken.push({ location, message: example.error });
+          continue;
+        }
+        const key = exampleKey({ ...example.props, files: exampleFiles(example.props) });
+        const result = await renderExample(engine, example.props).catch(e => ({ error: e.message }));
+        if (result.error) broken.push({ location, message: result.error });
+        if (result.skipped) skipped.push({ location, message: result.skipped });
+        if (result.html) outputs[key] = result.html;
+        examples.push({ location, key, label: exampleLabel(example.props), html: result.html });
+      }
+      files.push({ file, examples });
+    }
+  } finally {
+    await engine.close();
+  }
+  return { version: engine.version, checked, files, outputs, broken, skipped };
+}
+
+function formatProblems(problems) {
+  return problems.map(({ location, message }) => {
+    const [first, ...rest] = message.split('\n');
+    return [`- ${location}: ${first}`, ...rest.map(line => `    ${line}`)].join('\n');
+  }).join('\n');
+}
+
+function formatReport(broken, mismatched, checked) {
+  const sections = [];
+  if (broken.length > 0) {
+    sections.push(`${broken.length} of ${checked} playground examples failed to render:\n${formatProblems(broken)}`);
+  }
+  if (mismatched.length > 0) {
+    sections.push(`${mismatched.length} of ${checked} playground examples do not match their output snapshot:\n${formatProblems(mismatched)}\nRun ${UPDATE_COMMAND} to accept the new output.`);
+  }
+  return sections.join('\n');
+}
+
+module.exports = function playgroundExamplesPlugin(context, options) {
+  const { onBrokenExamples, outputs, include, snapshots } = { ...DEFAULT_OPTIONS, ...options };
+  const { siteDir } = context;
+
+  return {
+    name: 'playground-examples',
+
+    getPathsToWatch() {
+      return include.map(dir => path.join(siteDir, dir, '**/*.mdx'));
+    },
+
+    async loadContent() {
+      if (!outputs && onBrokenExamples === 'ignore') return null;
+      const content = await renderExamples(siteDir, include);
+      const { failures, obsolete } = snapshots
+        ? await checkSnapshots(siteDir, content.files)
+        : { failures: [], obsolete: [] };
+      return { ...content, mismatched: failures, obsolete };
+    },
+
+    async contentLoaded({ content }) {
+      if (!content || !outputs) return;
+      outputs.clear();
+      for (const [key, html] of Object.entries(content.outputs)) outputs.set(key, html);
+    },
+
+    // The compiled MDX files carry the output of their examples, so webpack's
+    // persistent cache must not outlive it (as after an engine upgrade)
+    configureWebpack(config, isServer, utils, content) {
+      if (!content || !outputs || config.cache?.type !== 'filesystem') return {};
+      const outputsHash = crypto.createHash('md5').update(JSON.stringify(content.outputs)).digest('hex');
+      return { cache: { version: `${config.cache.version}-${outputsHash}` } };
+    },
+
+    async postBuild({ content }) {
+      if (!content || onBrokenExamples === 'ignore') return;
+
+      const { version, checked, broken, skipped, mismatched, obsolete } = content;
+      for (const { location, message } of skipped) {
+        console.warn(`[WARNING] Playground example at ${location} not checked: ${message}`);
+      }
+      for (const { location, message } of obsolete) {
+        console.warn(`[WARNING] Obsolete output snapshot in ${location}: ${message}. Run ${UPDATE_COMMAND} to remove it.`);
+      }
+      if (broken.length === 0 && mismatched.length === 0) {
+        console.log(`[SUCCESS] ${checked} playground examples render with Luat ${version}${snapshots ? ' and match their snapshots' : ''}.`);
+        return;
+      }
+      const report = formatReport(broken, mismatched, checked);
+      if (onBrokenExamples === 'throw') {
+        throw new Error(`${report}\nSet onBrokenExamples to 'warn' to build anyway.`);
+      }
+      console.warn(`[WARNING] ${report}`);
+    },
+
+    extendCli(cli) {
+      cli
+        .command('update-snapshots')
+        .description('Render the playground examples and rewrite their output snapshots')
+        .action(async () => {
+          const { version, checked, files, broken } = await renderExamples(siteDir, include);
+          const changed = await updateSnapshots(siteDir, files);
+          for (const file of changed) console.log(`[INFO] Updated ${file}`);
+          console.log(`[SUCCESS] Rendered ${checked} playground examples with Luat ${version}, ${changed.length} snapshot files changed.`);
+          if (broken.length > 0) {
+            console.error(`[ERROR] ${formatReport(broken, [], checked)}\nTheir snapshots were left as they were.`);
+            process.exitCode = 1;
+          }
+        });
+    },
+  };
+};
+
+// Plugins without an options schema must fill in the plugin id themselves
+module.exports.validateOptions = ({ options }) => {
+  const merged = { id: 'default', ...DEFAULT_OPTIONS, ...options };
+  if (!['throw', 'warn', 'ignore'].includes(merged.onBrokenExamples)) {
+    throw new Error(`playground-examples: onBrokenExamples must be 'throw', 'warn' or 'ignore', got ${merged.onBrokenExamples}`);
+  }
+  return merged;
+};
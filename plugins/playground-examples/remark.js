@@ -0,0 +1,38 @@
+// Remark plugin that gives each <LuatPlayground> example its build-time output
+// as the `prerendered` prop, so a page only carries the output of its own
+// examples.
+//
+// The outputs are rendered by the playground-examples plugin before any MDX
+// file is compiled. It fills the map that docusaurus.config.js hands to both
+// plugins, keyed by exampleKey (see src/components/LuatPlayground/prerender.js).
+// Examples without an output (they failed, need a newer engine, or are outside
+// the plugin's include directories) are left as they are and show a loading
+// message until the engine has run.
+
+const { isExample, readProps } = require('./extract');
+const { exampleFiles } = require('./render');
+const { exampleKey } = require('../../src/components/LuatPlayground/prerender');
+
+// The element's props, or null when they cannot be read at build time
+function tryReadProps(node) {
+  try {
+    return readProps(node);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = function remarkPlaygroundOutputs({ outputs }) {
+  return async (tree) => {
+    const { visit } = await import('unist-util-visit');
+    visit(tree, (node) => {
+      if (!isExample(node)) return;
+      const props = tryReadProps(node);
+      if (!props || 'prerendered' in props) return;
+      const html = outputs.get(exampleKey({ ...props, files: exampleFiles(props) }));
+      if (html !== undefined) {
+        node.attributes.push({ type: 'mdxJsxAttribute', name: 'prerendered', value: html });
+      }
+    });
+  };
+};
@@ -0,0 +1,111 @@
+// Render a playground example the way LuatPlayground first renders it: the
+// entry file with its context, or in routes mode a GET of its initial URL,
+// with an empty KV store and the http fixtures installed when enabled. The
+// example's *.test.lua files are run as well.
+
+const { DEFAULT_RENDER_TIMEOUT, compareVersions } = require('../../src/components/LuatPlayground/engine');
+const {
+  ROUTE_DRIVER_NAME,
+  ROUTE_DRIVER_FILE,
+  resolveRequest,
+  toResponse,
+  notFoundResponse,
+} = require('../../src/components/LuatPlayground/routes');
+const { KV_BRIDGE_FILE, loadKv } = require('../../src/components/LuatPlayground/kv');
+const { HTTP_BRIDGE_FILE, normalizeFixtures, loadHttp } = require('../../src/components/LuatPlayground/http');
+const { runProjectTests } = require('../../src/components/LuatPlayground/testing');
+
+/**
+ * The example's files, with the code prop expanded like LuatPlayground does
+ */
+function exampleFiles({ files, code }) {
+  if (files && files.length > 0) return files;
+  return [{ name: 'main.luat', code: code || '' }];
+}
+
+function exampleEntry(props, files) {
+  return props.entry || (files.find(f => f.name === 'main.luat') || files[0]).name;
+}
+
+/**
+ * What an example renders, for reports: its entry file, or in routes mode the
+ * request for its initial URL
+ */
+function exampleLabel(props) {
+  if (props.routes) return `GET ${props.url || '/'}`;
+  return exampleEntry(props, exampleFiles(props));
+}
+
+function exampleContext(context) {
+  if (typeof context === 'string') return context.trim() ? JSON.parse(context) : {};
+  return context || {};
+}
+
+/**
+ * Render an example's props on the engine. Resolves to {error} when it fails,
+ * {skipped} when it needs a newer engine than the bundled one, or else {html}
+ * with the HTML the playground shows (null when it is not a page, as for a
+ * +server.lua response).
+ */
+async function renderExample(engine, props) {
+  if (props.minVersion && compareVersions(engine.version, props.minVersion) < 0) {
+    return { skipped: `needs Luat ${props.minVersion}, the bundled engine is ${engine.version}` };
+  }
+
+  const files = exampleFiles(props);
+  const timeout = props.renderTimeout || DEFAULT_RENDER_TIMEOUT;
+  const fixtures = props.fixtures ? normalizeFixtures(props.fixtures) : null;
+
+  let target;
+  let kind = null;
+  if (props.routes) {
+    const url = props.url || '/';
+    const resolved = resolveRequest(files, { method: 'GET', url, headers: {} });
+    if (!resolved) return { error: notFoundResponse(url).body };
+    target = { entry: ROUTE_DRIVER_NAME, props: resolved.props };
+    kind = resolved.kind;
+  } else {
+    let context;
+    try {
+      context = exampleContext(props.context);
+    } catch (e) {
+      return { error: `Invalid context JSON: ${e.message}` };
+    }
+    target = { entry: exampleEntry(props, files), props: context };
+  }
+
+  await engine.clearTemplates();
+  const engineFiles = [
+    ...files,
+    ...(props.routes ? [ROUTE_DRIVER_FILE] : []),
+    ...(props.kv ? [KV_BRIDGE_FILE] : []),
+    ...(fixtures ? [HTTP_BRIDGE_FILE] : []),
+  ];
+  for (const file of engineFiles) {
+    await engine.addTemplate(file.name, file.code);
+  }
+  if (props.kv) await loadKv(engine, []);
+  if (fixtures) await loadHttp(engine, fixtures);
+
+  const result = await engine.renderWithError(target.entry, target.props, { timeout });
+  if (!result.success) return { error: result.error };
+  let html = result.html;
+  if (kind) {
+    const response = toResponse(kind, result.html);
+    if (response.status >= 500) return { error: `${response.status}: ${response.body}` };
+    if (kind !== 'page') html = null;
+  }
+
+  // Tests start from an empty store and fresh fixtures too
+  if (props.kv) await loadKv(engine, []);
+  if (fixtures) await loadHttp(engine, fixtures);
+  const tests = await runProjectTests(engine, files, { timeout });
+  if (tests.error) return { error: `Tests: ${tests.error}` };
+  const failures = tests.suites.flatMap(suite => suite.tests
+    .filter(test => !test.passed)
+    .map(test => `${suite.file}: ${test.name}: ${test.error}`));
+  if (failures.length > 0) return { error: `Failing tests:\n${failures.join('\n')}` };
+  return { html };
+}
+
+module.exports = { exampleFiles, exampleLabel, renderExample };
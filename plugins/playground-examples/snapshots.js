@@ -0,0 +1,154 @@
+// Expected output of the playground examples, pinned next to each MDX file:
+// docs/guide/page.mdx keeps the output of its examples in
+// docs/guide/__snapshots__/page.mdx.snap. The build compares every rendered
+// example with its snapshot and `npm run update-snapshots` rewrites them, so
+// an engine upgrade or an edit that changes what an example outputs shows up
+// as a diff in review. (Docusaurus ignores paths starting with an underscore,
+// so the snapshot directories are not published.)
+//
+// A snapshot file has one section per example, in page order, headed by the
+// example's key (see exampleKey in src/components/LuatPlayground/prerender.js)
+// and what it renders; the output is formatted one element per line:
+//
+//   === 1x2y3z main.luat ===
+//   <p>
+//     Hello
+//   </p>
+
+const fs = require('fs/promises');
+const path = require('path');
+const { formatHtml } = require('../../src/components/LuatPlayground/format');
+const { diffLines } = require('../../src/components/LuatPlayground/diff');
+
+const UPDATE_COMMAND = 'npm run update-snapshots';
+const SECTION = /^=== (\S+)(?: (.*))? ===$/;
+const MAX_DIFF_LINES = 20;
+
+function snapshotPath(siteDir, file) {
+  return path.join(siteDir, path.dirname(file), '__snapshots__', `${path.basename(file)}.snap`);
+}
+
+function snapshotOutput(html) {
+  return formatHtml(html).trim();
+}
+
+/**
+ * Parse a snapshot file into a Map of key => {label, output}
+ */
+function parseSnapshots(text) {
+  const sections = new Map();
+  let lines = null;
+  for (const line of text.split('\n')) {
+    const section = line.match(SECTION);
+    if (section) {
+      lines = [];
+      sections.set(section[1], { label: section[2] || '', lines });
+    } else if (lines) {
+      lines.push(line);
+    }
+  }
+  return new Map([...sections].map(([key, { label, lines }]) => [key, { label, output: lines.join('\n').trim() }]));
+}
+
+function serializeSnapshots(file, entries) {
+  const header = `// Output of the playground examples in ${path.basename(file)}, updated by ${UPDATE_COMMAND}\n`;
+  return header + entries
+    .map(({ key, label, output }) => `\n=== ${[key, label].filter(Boolean).join(' ')} ===\n${output}\n`)
+    .join('');
+}
+
+async function readSnapshots(siteDir, file) {
+  try {
+    return parseSnapshots(await fs.readFile(snapshotPath(siteDir, file), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return new Map();
+    throw e;
+  }
+}
+
+// The changed lines of two outputs, as - and + lines
+function formatDiff(expected, actual) {
+  const changes = diffLines(expected, actual).filter(change => change.type !== 'same');
+  const lines = changes
+    .slice(0, MAX_DIFF_LINES)
+    .map(({ type, text }) => `${type === 'removed' ? '-' : '+'} ${text}`);
+  if (changes.length > MAX_DIFF_LINES) lines.push(`... ${changes.length - MAX_DIFF_LINES} more changed lines`);
+  return lines.join('\n');
+}
+
+/**
+ * Compare the rendered examples of each file ([{file, examples}], as from
+ * renderExamples) with their snapshots. Resolves to {failures, obsolete},
+ * lists of {location, message}: examples whose output is missing from the
+ * snapshot or differs from it, and snapshots of examples that are gone.
+ */
+async function checkSnapshots(siteDir, files) {
+  const failures = [];
+  const obsolete = [];
+  for (const { file, examples } of files) {
+    const snapshots = await readSnapshots(siteDir, file);
+    const snapshotFile = path.relative(siteDir, snapshotPath(siteDir, file)).split(path.sep).join('/');
+    for (const { location, key, html } of examples) {
+      if (typeof html !== 'string') continue;
+      const snapshot = snapshots.get(key);
+      if (!snapshot) {
+        failures.push({ location, message: `No output snapshot in ${snapshotFile}` });
+        continue;
+      }
+      const output = snapshotOutput(html);
+      if (output !== snapshot.output) {
+        failures.push({
+          location,
+          message: `Output differs from ${snapshotFile}:\n${formatDiff(snapshot.output, output)}`,
+        });
+      }
+    }
+    const keys = new Set(examples.map(example => example.key));
+    for (const [key, { label }] of snapshots) {
+      if (!keys.has(key)) {
+        obsolete.push({ location: snapshotFile, message: `${[key, label].filter(Boolean).join(' ')} matches no example` });
+      }
+    }
+  }
+  return { failures, obsolete };
+}
+
+/**
+ * Rewrite the snapshots of each file from its rendered examples. Examples that
+ * were not rendered (broken, or skipped for needing a newer engine) keep their
+ * current snapshot. Resolves to the snapshot files written or removed.
+ */
+async function updateSnapshots(siteDir, files) {
+  const changed = [];
+  for (const { file, examples } of files) {
+    const snapshots = await readSnapshots(siteDir, file);
+    const entries = [];
+    const seen = new Set();
+    for (const { key, label, html } of examples) {
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      if (typeof html === 'string') {
+        entries.push({ key, label, output: snapshotOutput(html) });
+      } else if (snapshots.has(key)) {
+        entries.push({ key, ...snapshots.get(key) });
+      }
+    }
+
+    const target = snapshotPath(siteDir, file);
+    const previous = await fs.readFile(target, 'utf8').catch(() => null);
+    if (entries.length === 0) {
+      if (previous === null) continue;
+      await fs.rm(target);
+      await fs.rmdir(path.dirname(target)).catch(() => {}); // Only when it is left empty
+    } else {
+      const text = serializeSnapshots(file, entries);
+      if (text === previous) continue;
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, text);
+    }
+    changed.push(path.relative(siteDir, target));
+  }
+  return changed;
+}
+
+module.exports = { UPDATE_COMMAND, snapshotPath, parseSnapshots, checkSnapshots, updateSnapshots };
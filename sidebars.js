@@ -18,6 +18,7 @@ const sidebars = {
   // Luat documentation sidebar
   tutorialSidebar: [
     'getting-started',
+    'playground',
     {
       type: 'category',
       label: 'LUAT Templating',
@@ -1,36 +1,90 @@
-import React from 'react';
-import { FileCode } from 'lucide-react';
+import React, { useMemo, useState } from 'react';
+import clsx from 'clsx';
+import { Highlight, Prism, themes } from 'prism-react-renderer';
+import useBaseUrl from '@docusaurus/useBaseUrl';
+import { FileCode, Copy, Check, Play } from 'lucide-react';
+import { getPlaygroundPath } from '@site/src/components/LuatPlayground/share';
 import styles from './styles.module.css';
 
-export default function CodeExample() {
-  const codeExample = `<!-- ProductList.luat -->
-<script>
-  local ProductCard = require("ProductCard")
-  local products = props.products or {}
-</script>
+const LANGUAGES = {
+  luat: 'luat',
+  lua: 'lua',
+  html: 'markup',
+  json: 'json',
+  js: 'javascript',
+};
 
-<section class="p-6">
-  <h1 class="text-2xl font-bold mb-4">
-    Featured Products
-  </h1>
+// Prism language for a file name, by extension
+function languageOf(name) {
+  const extension = name.split('.').pop();
+  return LANGUAGES[extension] || 'luat';
+}
+
+/**
+ * Parse line ranges like "1,4-6" into a Set of 1-based line numbers
+ */
+export function parseLineRanges(ranges) {
+  const lines = new Set();
+  for (const part of String(ranges || '').split(',')) {
+    const match = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) continue;
+    const start = Number(match[1]);
+    const end = Number(match[2] || match[1]);
+    for (let line = start; line <= end; line++) lines.add(line);
+  }
+  return lines;
+}
+
+/**
+ * CodeExample - Snippets in an editor window, highlighted with the site's
+ * Prism grammars (luat is registered in src/theme/prism-include-languages.js)
+ *
+ * Several files get a tab each. The copy button copies the open file, and
+ * "Open in playground" opens all of them in /playground, which is offered
+ * when every file is a .luat or .lua file. The playground keeps the reader's
+ * own saved project until they edit the one the link opened.
+ *
+ * @param {Object} props
+ * @param {Array<{name: string, code: string, highlight?: string}>} [props.files] - Files to show, with the line ranges to highlight in each (e.g. "3,7-9")
+ * @param {string} [props.code] - Single-file shorthand for `files`
+ * @param {string} [props.filename] - Name of the `code` file
+ * @param {string} [props.highlight] - Line ranges to highlight in the `code` file
+ * @param {string} [props.entry] - File the playground renders; defaults to its own choice
+ * @param {Object|string} [props.context] - Context the playground renders the entry with, as an object or JSON
+ * @param {boolean} [props.playground=true] - Offer "Open in playground" for .luat/.lua files
+ */
+export default function CodeExample({
+  files: filesProp,
+  code = '',
+  filename = 'main.luat',
+  highlight,
+  entry,
+  context,
+  playground = true,
+}) {
+  const files = filesProp && filesProp.length > 0 ? filesProp : [{ name: filename, code, highlight }];
+  const [activeTab, setActiveTab] = useState(0);
+  const [copyStatus, setCopyStatus] = useState(null); // 'copied' while the confirmation shows
+  const file = files[Math.min(activeTab, files.length - 1)];
+  const highlighted = useMemo(() => parseLineRanges(file.highlight), [file.highlight]);
 
-  <div class="grid grid-cols-3 gap-4">
-    {#each products as product}
-      <ProductCard
-        name={product.name}
-        price={product.price}
-        image={product.image}
-        inStock={product.inStock}
-      />
-    {/each}
-  </div>
+  const playable = playground && files.every(f => /\.(luat|lua)$/.test(f.name));
+  const playgroundPath = useMemo(() => playable ? getPlaygroundPath({
+    files,
+    context: context === undefined || typeof context === 'string' ? context : JSON.stringify(context, null, 2),
+    entry,
+  }) : null, [playable, files, context, entry]);
+  const playgroundUrl = useBaseUrl(playgroundPath || '/');
 
-  {#if #products == 0}
-    <p class="text-gray-500 text-center">
-      No products found.
-    </p>
-  {/if}
-</section>`;
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(file.code);
+      setCopyStatus('copied');
+      setTimeout(() => setCopyStatus(null), 2000);
+    } catch (e) {
+      console.error('Failed to copy code:', e);
+    }
+  };
 
   return (
     <div className={styles.codeContainer}>
@@ -40,82 +94,65 @@ export default function CodeExample() {
           <span className={styles.control}></span>
           <span className={styles.control}></span>
         </div>
-        <div className={styles.filename}>
-          <FileCode size={16} style={{ marginRight: '0.5rem' }} />
-          ProductList.luat
+        {files.length > 1 ? (
+          <div className={styles.tabs} role="tablist">
+            {files.map((f, index) => (
+              <button
+                key={f.name}
+                role="tab"
+                aria-selected={f === file}
+                className={clsx(styles.tab, f === file && styles.tabActive)}
+                onClick={() => setActiveTab(index)}
+              >
+                {f.name}
+              </button>
+            ))}
+          </div>
+        ) : (
+          <div className={styles.filename}>
+            <FileCode size={16} style={{ marginRight: '0.5rem' }} />
+            {file.name}
+          </div>
+        )}
+        <div className={styles.actions}>
+          <button
+            className={styles.action}
+            onClick={copy}
+            title={copyStatus === 'copied' ? 'Copied!' : `Copy ${file.name}`}
+          >
+            {copyStatus === 'copied' ? <Check size={14} /> : <Copy size={14} />}
+          </button>
+          {playable && (
+            <a
+              className={styles.action}
+              href={playgroundUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              title="Open in playground"
+            >
+              <Play size={14} />
+            </a>
+          )}
         </div>
       </div>
-      <pre className={styles.code}>
-        <code dangerouslySetInnerHTML={{ __html: highlightCode(codeExample) }} />
-      </pre>
+      <Highlight prism={Prism} theme={themes.vsDark} code={file.code.trimEnd()} language={languageOf(file.name)}>
+        {({ style, tokens, getLineProps, getTokenProps }) => (
+          <pre className={styles.code} style={style}>
+            <code>
+              {tokens.map((line, i) => (
+                <div
+                  key={i}
+                  {...getLineProps({ line, className: highlighted.has(i + 1) ? styles.highlightedLine : undefined })}
+                >
+                  {line.map((token, key) => (
+                    <span key={key} {...getTokenProps({ token })} />
+                  ))}
+                </div>
+              ))}
+            </code>
+          </pre>
+        )}
+      </Highlight>
     </div>
   );
 }
-
-function highlightCode(code) {
-  // Tokenize and highlight
-  const tokens = [];
-  let remaining = code;
-  let match;
-  
-  // Define patterns in order of priority
-  const patterns = [
-    { regex: /<!--.*?-->/g, class: 'comment' },
-    { regex: /<ProductCard[\s\S]*?\/>/g, class: 'component' },
-    { regex: /<script>|<\/script>|<section[^>]*>|<\/section>|<div[^>]*>|<\/div>|<h1[^>]*>|<\/h1>|<p[^>]*>|<\/p>|<form[^>]*>|<\/form>|<input[^>]*>|<button[^>]*>|<\/button>|<ul[^>]*>|<\/ul>|<li[^>]*>|<\/li>|<span[^>]*>|<\/span>/g, class: 'tag' },
-    { regex: /{#each[^}]+}|{\/each}|{#if[^}]*}|{\/if}|{:else}/g, class: 'directive' },
-    { regex: /{[^#\/:][^}]*}/g, class: 'expression' },
-    { regex: /@[a-zA-Z][a-zA-Z0-9.-]*|x-[a-zA-Z][a-zA-Z0-9-]*/g, class: 'directive' },
-    { regex: /\b(local|function|end|if|then|else|return|require|or)\b/g, class: 'keyword' },
-    { regex: /"[^"]*"/g, class: 'string' },
-    { regex: /\b(true|false)\b|\b\d+\b/g, class: 'literal' }
-  ];
-  
-  // Split code into tokens
-  while (remaining.length > 0) {
-    let found = false;
-    let earliestMatch = null;
-    let earliestIndex = remaining.length;
-    let matchedPattern = null;
-    
-    // Find the earliest match among all patterns
-    for (const pattern of patterns) {
-      pattern.regex.lastIndex = 0;
-      const match = pattern.regex.exec(remaining);
-      if (match && match.index < earliestIndex) {
-        earliestMatch = match;
-        earliestIndex = match.index;
-        matchedPattern = pattern;
-      }
-    }
-    
-    if (earliestMatch) {
-      // Add any text before the match
-      if (earliestIndex > 0) {
-        tokens.push({ text: remaining.substring(0, earliestIndex), class: null });
-      }
-      
-      // Add the matched token
-      tokens.push({ text: earliestMatch[0], class: matchedPattern.class });
-      
-      // Continue with the rest
-      remaining = remaining.substring(earliestIndex + earliestMatch[0].length);
-    } else {
-      // No more matches, add the rest as plain text
-      tokens.push({ text: remaining, class: null });
-      break;
-    }
-  }
-  
-  // Build the highlighted HTML
-  return tokens.map(token => {
-    const escaped = token.text
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;');
-    
-    return token.class 
-      ? `<span class="${token.class}">${escaped}</span>`
-      : escaped;
-  }).join('');
-}
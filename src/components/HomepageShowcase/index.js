@@ -4,6 +4,9 @@ import { ArrowRight } from 'lucide-react';
 import LuatPlayground from '@site/src/components/LuatPlayground';
 import styles from './styles.module.css';
 
+// Not rendered at build time: only playgrounds in the docs and blog MDX files
+// get their output in the static HTML (see plugins/playground-examples), so
+// these show a loading message until the engine has run.
 const showcaseExamples = [
   {
     title: 'Props Spread Operator',
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { Gauge, Loader2 } from 'lucide-react';
+import { DEFAULT_WARMUP, DEFAULT_ITERATIONS, MAX_ITERATIONS, formatTime } from './benchmark';
+import styles from './styles.module.css';
+
+const STATS = [
+  ['mean', 'Mean'],
+  ['median', 'Median'],
+  ['p95', 'p95'],
+  ['stddev', 'Std dev'],
+  ['min', 'Min'],
+  ['max', 'Max'],
+];
+
+// Timing summary with a histogram of the measured samples, each the mean
+// time of a batch of renders
+function Stats({ title, stats }) {
+  const peak = Math.max(...stats.histogram.map(bin => bin.count));
+  const renders = stats.batch > 1 ? `${stats.count} × ${stats.batch} renders` : `${stats.count} renders`;
+  return (
+    <section className={styles.benchmarkStats}>
+      <h4>{title} <span className={styles.kvStorage}>{renders}</span></h4>
+      <dl className={styles.benchmarkTable}>
+        {STATS.map(([key, label]) => (
+          <React.Fragment key={key}>
+            <dt>{label}</dt>
+            <dd>{formatTime(stats[key])}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+      <div className={styles.histogram} aria-hidden="true">
+        {stats.histogram.map((bin, index) => (
+          <div
+            key={index}
+            className={styles.histogramBar}
+            style={{ height: `${(bin.count / peak) * 100}%` }}
+            title={`${formatTime(bin.from)} - ${formatTime(bin.to)}: ${bin.count}`}
+          />
+        ))}
+      </div>
+      <div className={styles.histogramAxis}>
+        <span>{formatTime(stats.min)}</span>
+        <span>{formatTime(stats.max)}</span>
+      </div>
+    </section>
+  );
+}
+
+function describeVariant(variant) {
+  const time = new Date(variant.savedAt).toLocaleTimeString();
+  const count = variant.files.length;
+  return `saved ${time}, ${count} ${count === 1 ? 'file' : 'files'}`;
+}
+
+// "B is 23% faster than A", by median
+function Verdict({ a, b }) {
+  // A median of 0 (too fast for the timer) gives no ratio
+  const change = a.median > 0 ? (b.median - a.median) / a.median : Math.sign(b.median);
+  if (Math.abs(change) < 0.01) return <p>A and B render in about the same time (median).</p>;
+  if (a.median === 0) return <p>B is <strong>slower</strong> than A (median).</p>;
+  return (
+    <p>
+      B is <strong>{Math.abs(change * 100).toFixed(0)}% {change < 0 ? 'faster' : 'slower'}</strong> than A (median).
+    </p>
+  );
+}
+
+/**
+ * BenchmarkPanel - Render timing statistics for the Benchmark tab
+ *
+ * Times warmup plus measured samples of the current code, and compares two
+ * saved variants (A and B) of the project side by side.
+ */
+export default function BenchmarkPanel({ state, onRun, onSaveVariant, onCompare }) {
+  const [warmup, setWarmup] = useState(DEFAULT_WARMUP);
+  const [iterations, setIterations] = useState(DEFAULT_ITERATIONS);
+  const { running, error, result, variants, comparison } = state;
+  const options = { warmup, iterations };
+
+  return (
+    <div className={styles.benchmark}>
+      <div className={styles.kvToolbar}>
+        <label className={styles.benchmarkOption}>
+          Warmup
+          <input
+            type="number"
+            min={0}
+            max={MAX_ITERATIONS}
+            value={warmup}
+            onChange={(e) => setWarmup(e.target.value)}
+          />
+        </label>
+        <label className={styles.benchmarkOption}>
+          Samples
+          <input
+            type="number"
+            min={1}
+            max={MAX_ITERATIONS}
+            value={iterations}
+            onChange={(e) => setIterations(e.target.value)}
+          />
+        </label>
+        <button className={styles.button} onClick={() => onRun(options)} disabled={running}>
+          {running ? <Loader2 size={14} className={styles.spinning} /> : <Gauge size={14} />}
+          Run benchmark
+        </button>
+      </div>
+
+      {error && <pre className={styles.testError}>{error}</pre>}
+      {result && <Stats title="Current code" stats={result} />}
+
+      <h4 className={styles.benchmarkHeading}>Compare variants</h4>
+      <p className={styles.testEmpty}>
+        Save the code as A, change it, save it as B, then time both with the settings above.
+      </p>
+      <ul className={styles.benchmarkVariants}>
+        {['A', 'B'].map(slot => (
+          <li key={slot}>
+            <strong>{slot}</strong>
+            <span className={styles.kvStorage}>
+              {variants[slot] ? describeVariant(variants[slot]) : 'not saved'}
+            </span>
+            <button className={styles.buttonSecondary} onClick={() => onSaveVariant(slot)} disabled={running}>
+              Save current as {slot}
+            </button>
+          </li>
+        ))}
+      </ul>
+      <button
+        className={styles.button}
+        onClick={() => onCompare(options)}
+        disabled={running || !variants.A || !variants.B}
+      >
+        <Gauge size={14} />
+        Compare A and B
+      </button>
+
+      {comparison && (
+        <>
+          <Verdict a={comparison.A} b={comparison.B} />
+          <div className={styles.benchmarkCompare}>
+            <Stats title="A" stats={comparison.A} />
+            <Stats title="B" stats={comparison.B} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React from 'react';
+import { diffLines, sideBySide } from './diff';
+import styles from './styles.module.css';
+
+function Side({ side }) {
+  if (!side) {
+    return (
+      <>
+        <td className={styles.diffLineNumber} />
+        <td />
+      </>
+    );
+  }
+  const className = side.type === 'removed' ? styles.diffRemoved : side.type === 'added' ? styles.diffAdded : undefined;
+  return (
+    <>
+      <td className={`${styles.diffLineNumber} ${className || ''}`}>{side.line}</td>
+      <td className={className}>{side.text}</td>
+    </>
+  );
+}
+
+/**
+ * DiffView - Formatted HTML of the example's original files next to the
+ * current output, for the Diff tab
+ *
+ * Lines only in the original are marked as removed, lines only in the current
+ * output as added.
+ */
+export default function DiffView({ original, current, error }) {
+  if (error) {
+    return (
+      <div className={styles.placeholder}>
+        The original example could not be rendered: {error}
+      </div>
+    );
+  }
+  if (original === null) {
+    return <div className={styles.placeholder}>Rendering the original example...</div>;
+  }
+
+  const changes = diffLines(original, current);
+  const removed = changes.filter(change => change.type === 'removed').length;
+  const added = changes.filter(change => change.type === 'added').length;
+
+  if (removed === 0 && added === 0) {
+    return (
+      <div className={styles.placeholder}>
+        Same output as the original example - edit the code to see what changes
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.diffView}>
+      <div className={styles.kvToolbar}>
+        <span className={styles.diffCount}>
+          <span className={styles.diffCountRemoved}>-{removed}</span>
+          {' '}
+          <span className={styles.diffCountAdded}>+{added}</span>
+          {' '}lines compared to the original example
+        </span>
+      </div>
+      <table className={styles.diffTable}>
+        <colgroup>
+          <col style={{ width: 40 }} />
+          <col />
+          <col style={{ width: 40 }} />
+          <col />
+        </colgroup>
+        <thead>
+          <tr>
+            <th colSpan={2}>Original</th>
+            <th colSpan={2}>Current</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sideBySide(changes).map((row, index) => (
+            <tr key={index}>
+              <Side side={row.left} />
+              <Side side={row.right} />
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { Plus, X } from 'lucide-react';
+import styles from './styles.module.css';
+
+/**
+ * Check a proposed file name against the current file set.
+ * Returns an error message, or null when the name is usable.
+ */
+export function validateFileName(name, files, index = -1) {
+  if (!name) return 'File name is required';
+  if (/\s/.test(name)) return 'File names cannot contain spaces';
+  if (!/\.(luat|lua)$/.test(name)) return 'Use a .luat or .lua extension';
+  if (files.some((f, i) => i !== index && f.name === name)) return `${name} already exists`;
+  return null;
+}
+
+/**
+ * Pick a free "untitledN.luat" name for a new file
+ */
+export function nextUntitledName(files) {
+  let n = 1;
+  while (files.some(f => f.name === `untitled${n}.luat`)) n++;
+  return `untitled${n}.luat`;
+}
+
+/**
+ * FileTabs - Editor file tabs with optional create/rename/delete controls
+ *
+ * With `manageFiles`, double-clicking a tab renames it inline, the x button
+ * deletes it and the + button adds a new file.
+ */
+export default function FileTabs({
+  files,
+  activeTab,
+  entryName,
+  manageFiles = false,
+  onSelect,
+  onAdd,
+  onRename,
+  onDelete,
+}) {
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [draftName, setDraftName] = useState('');
+  const [renameError, setRenameError] = useState(null);
+
+  const startRename = (index, name = files[index].name) => {
+    if (!manageFiles) return;
+    setEditingIndex(index);
+    setDraftName(name);
+    setRenameError(null);
+  };
+
+  // On blur an invalid name is discarded; on Enter it stays open with the error
+  const commitRename = (discardInvalid = false) => {
+    if (editingIndex === null) return;
+    const name = draftName.trim();
+    if (name !== files[editingIndex].name) {
+      const error = validateFileName(name, files, editingIndex);
+      if (error) {
+        if (discardInvalid) {
+          setEditingIndex(null);
+        } else {
+          setRenameError(error);
+        }
+        return;
+      }
+      onRename(editingIndex, name);
+    }
+    setEditingIndex(null);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      commitRename();
+    } else if (e.key === 'Escape') {
+      setEditingIndex(null);
+    }
+  };
+
+  const handleAdd = () => {
+    const added = onAdd();
+    if (added) startRename(added.index, added.name);
+  };
+
+  return (
+    <div className={styles.tabs}>
+      {files.map((file, index) => (
+        editingIndex === index ? (
+          <input
+            key={index}
+            className={`${styles.tabInput} ${renameError ? styles.tabInputInvalid : ''}`}
+            value={draftName}
+            title={renameError || 'Enter to rename, Escape to cancel'}
+            autoFocus
+            onChange={(e) => {
+              setDraftName(e.target.value);
+              setRenameError(null);
+            }}
+            onKeyDown={handleKeyDown}
+            onBlur={() => commitRename(true)}
+          />
+        ) : (
+          <button
+            key={file.name}
+            className={`${styles.tab} ${index === activeTab ? styles.tabActive : ''}`}
+            onClick={() => onSelect(index)}
+            onDoubleClick={() => startRename(index)}
+            title={manageFiles ? 'Double-click to rename' : undefined}
+          >
+            {file.name}
+            {manageFiles && file.name === entryName && (
+              <span className={styles.entryMarker} title="Entry file">●</span>
+            )}
+            {manageFiles && files.length > 1 && (
+              <span
+                className={styles.tabClose}
+                role="button"
+                aria-label={`Delete ${file.name}`}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onDelete(index);
+                }}
+              >
+                <X size={12} />
+              </span>
+            )}
+          </button>
+        )
+      ))}
+      {manageFiles && (
+        <button
+          className={styles.tabAdd}
+          onClick={handleAdd}
+          title="New file"
+        >
+          <Plus size={14} />
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Trash2, X } from 'lucide-react';
+import styles from './styles.module.css';
+
+const EXAMPLE_KV = `local kv = KV.namespace("demo")
+kv:put("greeting", "Hello", { expirationTtl = 60 })`;
+
+// "in 5m" / "in 2h" relative to now, for Unix timestamps in seconds
+function formatExpiration(expiration) {
+  const seconds = Math.round(expiration - Date.now() / 1000);
+  if (seconds <= 0) return 'expired';
+  if (seconds < 60) return `in ${seconds}s`;
+  if (seconds < 3600) return `in ${Math.round(seconds / 60)}m`;
+  if (seconds < 86400) return `in ${Math.round(seconds / 3600)}h`;
+  return `in ${Math.round(seconds / 86400)}d`;
+}
+
+/**
+ * KvInspector - Contents of the playground's KV store for the KV tab
+ *
+ * Lists every key with its value, expiration and metadata, filtered by
+ * namespace and key prefix. Keys can be deleted here; the next run sees the change.
+ */
+export default function KvInspector({ entries, persistent, storeName, onDelete, onClear }) {
+  const [prefix, setPrefix] = useState('');
+
+  if (!entries) {
+    return <div className={styles.placeholder}>Loading KV store...</div>;
+  }
+
+  const shown = entries.filter(entry => `${entry.namespace}/${entry.key}`.startsWith(prefix)
+    || entry.key.startsWith(prefix));
+
+  return (
+    <div className={styles.kvInspector}>
+      <div className={styles.kvToolbar}>
+        <input
+          className={styles.kvFilter}
+          value={prefix}
+          onChange={(e) => setPrefix(e.target.value)}
+          placeholder="Filter by key prefix or namespace/prefix"
+          spellCheck={false}
+          aria-label="Key prefix"
+        />
+        <span className={styles.kvStorage}>
+          {entries.length} {entries.length === 1 ? 'key' : 'keys'}
+          {persistent ? ` in IndexedDB "${storeName}"` : ' in memory'}
+        </span>
+        <button
+          className={styles.buttonSecondary}
+          onClick={onClear}
+          disabled={entries.length === 0}
+          title="Delete all keys"
+        >
+          <Trash2 size={14} />
+        </button>
+      </div>
+
+      {entries.length === 0 ? (
+        <div className={styles.testEmpty}>
+          <p>The store is empty. Keys written with the <code>KV</code> global show up here after a run:</p>
+          <pre>{EXAMPLE_KV}</pre>
+        </div>
+      ) : (
+        <table className={styles.kvTable}>
+          <thead>
+            <tr>
+              <th>Namespace</th>
+              <th>Key</th>
+              <th>Value</th>
+              <th>Expires</th>
+              <th>Metadata</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map(entry => (
+              <tr key={`${entry.namespace}/${entry.key}`}>
+                <td>{entry.namespace}</td>
+                <td className={styles.kvKey}>{entry.key}</td>
+                <td className={styles.kvValue} title={entry.value}>{entry.value}</td>
+                <td title={entry.expiration != null ? new Date(entry.expiration * 1000).toLocaleString() : undefined}>
+                  {entry.expiration != null ? formatExpiration(entry.expiration) : '-'}
+                </td>
+                <td className={styles.kvValue}>
+                  {entry.metadata != null ? JSON.stringify(entry.metadata) : '-'}
+                </td>
+                <td>
+                  <button
+                    className={styles.kvDelete}
+                    onClick={() => onDelete(entry)}
+                    title="Delete key"
+                  >
+                    <X size={12} />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { Trash2 } from 'lucide-react';
+import { getHeader } from './routes';
+import styles from './styles.module.css';
+
+// Status 0 is an http call that failed without a response (network error, timeout)
+function statusClass(status) {
+  if (!status || status >= 400) return styles.requestStatusError;
+  if (status >= 300) return styles.requestStatusRedirect;
+  return styles.requestStatusOk;
+}
+
+// Pretty-print JSON bodies, show anything else as is
+function formatBody(body, contentType) {
+  if (body === undefined || body === '') return null;
+  if (typeof body !== 'string') return JSON.stringify(body, null, 2);
+  if (contentType && contentType.includes('json')) {
+    try {
+      return JSON.stringify(JSON.parse(body), null, 2);
+    } catch (e) {
+      return body;
+    }
+  }
+  return body;
+}
+
+// Headers and body of a request or response
+function Message({ title, headers, body, contentType }) {
+  const names = Object.keys(headers || {});
+  const formatted = formatBody(body, contentType);
+  return (
+    <section>
+      <h4>{title}</h4>
+      {names.length > 0 && (
+        <dl className={styles.requestHeaders}>
+          {names.map(name => (
+            <React.Fragment key={name}>
+              <dt>{name}</dt>
+              <dd>{headers[name]}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      )}
+      {formatted && <pre>{formatted}</pre>}
+    </section>
+  );
+}
+
+/**
+ * RequestLog - Requests handled in routes mode, newest first, for the Requests tab
+ *
+ * Each entry shows the method, URL and response status; expanding it shows the
+ * request headers and body next to the response headers and body. Calls made
+ * through the Lua http module are answered by fixtures and show their
+ * simulated latency.
+ */
+export default function RequestLog({ entries, onClear }) {
+  const [expanded, setExpanded] = useState(null);
+
+  if (entries.length === 0) {
+    return (
+      <div className={styles.placeholder}>
+        Requests from the preview and http calls from Lua show up here
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.requestLog}>
+      <div className={styles.kvToolbar}>
+        <span className={styles.kvStorage}>
+          {entries.length} {entries.length === 1 ? 'request' : 'requests'}
+        </span>
+        <button className={styles.buttonSecondary} onClick={onClear} title="Clear the log">
+          <Trash2 size={14} />
+        </button>
+      </div>
+
+      <ul className={styles.requestList}>
+        {entries.map(({ id, source, route, delay, request, response }) => (
+          <li key={id}>
+            <button
+              className={styles.requestSummary}
+              onClick={() => setExpanded(expanded === id ? null : id)}
+              aria-expanded={expanded === id}
+            >
+              <span className={styles.requestMethod}>{request.method}</span>
+              <span className={styles.requestUrl}>{request.url}</span>
+              <span className={styles.requestSource}>
+                {source}{delay ? ` ${delay}ms` : ''}
+              </span>
+              <span className={statusClass(response.status)}>{response.status || 'failed'}</span>
+            </button>
+            {expanded === id && (
+              <div className={styles.requestDetails}>
+                <Message
+                  title={route ? `Request (${route})` : 'Request'}
+                  headers={request.headers}
+                  body={request.body}
+                />
+                <Message
+                  title={response.status ? 'Response' : 'Error'}
+                  headers={response.headers}
+                  body={response.body}
+                  contentType={getHeader(response, 'Content-Type')}
+                />
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
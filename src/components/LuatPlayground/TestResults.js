@@ -0,0 +1,100 @@
+import React from 'react';
+import { AlertCircle, CircleCheck, CircleX, TimerOff } from 'lucide-react';
+import styles from './styles.module.css';
+
+const EXAMPLE_TEST = `describe("Greeting", function()
+  it("greets by name", function()
+    local html = render("Greeting", { name = "Ada" })
+    expect(html):toContain("Ada")
+  end)
+end)`;
+
+/**
+ * TestResults - Pass/fail report for the playground Tests tab
+ *
+ * Lists the cases of every *.test.lua file with their assertion messages,
+ * followed by a summary of the engine's built-in self-tests.
+ */
+export default function TestResults({ results, running, onSelectFile }) {
+  if (!results) {
+    return (
+      <div className={styles.placeholder}>
+        {running ? 'Running tests...' : 'Click "Run" to run the tests'}
+      </div>
+    );
+  }
+
+  if (results.error) {
+    return (
+      <div className={styles.error}>
+        {results.timedOut ? <TimerOff size={16} /> : <AlertCircle size={16} />}
+        <div>
+          <div className={styles.errorTitle}>
+            {results.timedOut ? 'Test run timed out' : 'Test run failed'}
+          </div>
+          <pre>{results.error}</pre>
+        </div>
+      </div>
+    );
+  }
+
+  const tests = results.suites.flatMap(suite => suite.tests);
+  const failed = tests.filter(t => !t.passed).length;
+  const engine = results.engine;
+
+  return (
+    <div className={styles.testResults}>
+      {results.suites.length === 0 ? (
+        <div className={styles.testEmpty}>
+          <p>
+            No test files yet. Add a <code>*.test.lua</code> file next to the component it
+            tests, e.g. <code>Greeting.test.lua</code>:
+          </p>
+          <pre>{EXAMPLE_TEST}</pre>
+        </div>
+      ) : (
+        <div className={`${styles.testSummary} ${failed ? styles.testFailed : styles.testPassed}`}>
+          {failed ? <CircleX size={14} /> : <CircleCheck size={14} />}
+          <span>{tests.length - failed} passed, {failed} failed</span>
+        </div>
+      )}
+
+      {results.suites.map(suite => (
+        <section key={suite.file} className={styles.testSuite}>
+          <button
+            className={styles.testFile}
+            onClick={() => onSelectFile(suite.file)}
+            title="Show in editor"
+          >
+            {suite.file}
+          </button>
+          {suite.tests.length === 0 && (
+            <div className={styles.testEmpty}>No tests defined</div>
+          )}
+          <ul className={styles.testList}>
+            {suite.tests.map((test, index) => (
+              <li key={index} className={test.passed ? styles.testPassed : styles.testFailed}>
+                {test.passed ? <CircleCheck size={13} /> : <CircleX size={13} />}
+                <div>
+                  <span className={styles.testName}>{test.name}</span>
+                  {test.error && <pre className={styles.testError}>{test.error}</pre>}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+
+      {engine && (
+        <div className={styles.testEngine}>
+          Engine self-tests: {engine.passed}/{engine.passed + engine.failed} passed
+          {engine.tests.filter(t => !t.passed).map(t => (
+            <div key={t.name} className={styles.testFailed}>
+              {t.name}: {t.error}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
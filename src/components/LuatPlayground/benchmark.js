@@ -0,0 +1,93 @@
+// Statistics for the Benchmark tab. Render times come from the engine worker
+// (see renderMs in luat-worker.js), in milliseconds. Each sample is the mean of
+// a batch of renders: browsers coarsen performance.now() (to 0.1ms or more),
+// so a fast render timed on its own can measure 0.
+
+export const DEFAULT_WARMUP = 10;
+export const DEFAULT_ITERATIONS = 100;
+export const MAX_ITERATIONS = 5000;
+
+const HISTOGRAM_BINS = 12;
+
+// A batch is long enough to time once it takes this many milliseconds
+const MIN_BATCH_MS = 5;
+const MAX_BATCH = 1024;
+
+/**
+ * Renders per sample after a batch of `batch` renders took `renderMs` each:
+ * the same size once the batch takes long enough to time, else twice as many
+ */
+export function nextBatch(batch, renderMs) {
+  if (batch >= MAX_BATCH || renderMs * batch >= MIN_BATCH_MS) return batch;
+  return batch * 2;
+}
+
+/**
+ * Milliseconds as "840µs" or "1.25ms"
+ */
+export function formatTime(ms) {
+  if (ms < 1) {
+    return `${(ms * 1000).toFixed(0)}µs`;
+  }
+  return `${ms.toFixed(2)}ms`;
+}
+
+// Value below which `fraction` of the sorted samples fall (nearest rank)
+function percentile(sorted, fraction) {
+  const rank = Math.ceil(fraction * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function histogram(sorted, binCount) {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const size = (max - min) / binCount;
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    from: min + i * size,
+    to: min + (i + 1) * size,
+    count: 0,
+  }));
+  for (const sample of sorted) {
+    // All samples equal: everything goes in the first bin
+    const index = size > 0 ? Math.min(binCount - 1, Math.floor((sample - min) / size)) : 0;
+    bins[index].count++;
+  }
+  return bins;
+}
+
+/**
+ * Summarize render times: {count, mean, median, p95, stddev, min, max,
+ * histogram}, where histogram is [{from, to, count}] over [min, max]
+ */
+export function summarize(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const count = sorted.length;
+  const mean = sorted.reduce((total, sample) => total + sample, 0) / count;
+  const variance = count > 1
+    ? sorted.reduce((total, sample) => total + (sample - mean) ** 2, 0) / (count - 1)
+    : 0;
+  return {
+    count,
+    mean,
+    median: count % 2 ? sorted[(count - 1) / 2] : (sorted[count / 2 - 1] + sorted[count / 2]) / 2,
+    p95: percentile(sorted, 0.95),
+    stddev: Math.sqrt(variance),
+    min: sorted[0],
+    max: sorted[count - 1],
+    histogram: histogram(sorted, HISTOGRAM_BINS),
+  };
+}
+
+/**
+ * Clamp the warmup and iteration counts typed into the Benchmark tab
+ */
+export function normalizeOptions({ warmup, iterations }) {
+  const clamp = (value, min, fallback) => {
+    const number = Math.floor(Number(value));
+    return Number.isFinite(number) ? Math.min(MAX_ITERATIONS, Math.max(min, number)) : fallback;
+  };
+  return {
+    warmup: clamp(warmup, 0, DEFAULT_WARMUP),
+    iterations: clamp(iterations, 1, DEFAULT_ITERATIONS),
+  };
+}
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+// The components are ES modules; jiti loads them the way Docusaurus loads the plugins
+const load = require('jiti')(__filename);
+
+const { nextBatch, summarize } = load('./benchmark');
+
+test('batches double until they take long enough to time', () => {
+  assert.equal(nextBatch(1, 0), 2);
+  assert.equal(nextBatch(8, 0.1), 16);
+  assert.equal(nextBatch(64, 0.1), 64);
+  assert.equal(nextBatch(1, 20), 1);
+});
+
+test('batches stop growing at the limit', () => {
+  assert.equal(nextBatch(1024, 0), 1024);
+});
+
+test('summarize reports the median and percentiles of the samples', () => {
+  const stats = summarize([4, 1, 3, 2]);
+  assert.equal(stats.count, 4);
+  assert.equal(stats.median, 2.5);
+  assert.equal(stats.p95, 4);
+  assert.equal(stats.min, 1);
+  assert.equal(stats.max, 4);
+  assert.equal(stats.histogram.reduce((total, bin) => total + bin.count, 0), 4);
+});
@@ -0,0 +1,39 @@
+// Helpers for the bridge templates the playground loads next to a project to
+// stand in for what the WASM build lacks: the routes driver (routes.js), the
+// KV store (kv.js) and the http module (http.js). Each is a .luat template
+// whose <script> does the work, told what to do by its props.
+
+/**
+ * A bridge template as a project file, for loading it next to the project
+ */
+export function bridgeFile(name, source) {
+  return { name, code: source };
+}
+
+/**
+ * Copy of an object without its undefined and null fields, for bridge props.
+ * Props reach Lua as JSON, and JSON null arrives as a truthy value rather
+ * than nil, so a missing field has to be left out.
+ */
+export function definedFields(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value != null));
+}
+
+/**
+ * Render a bridge template in the leased engine. Resolves to its output, or
+ * rejects with its error prefixed by `label` (e.g. "KV store").
+ */
+export async function callBridge(engine, name, props, label) {
+  const result = await engine.renderWithError(name, props);
+  if (!result.success) throw new Error(`${label}: ${result.error}`);
+  return result.html;
+}
+
+/**
+ * Parse a list a bridge template rendered as JSON. An empty Lua table encodes
+ * as {}, which reads as an empty list too.
+ */
+export function parseList(output) {
+  const list = JSON.parse(output || '[]');
+  return Array.isArray(list) ? list : [];
+}
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+// The components are ES modules; jiti loads them the way Docusaurus loads the plugins
+const load = require('jiti')(__filename);
+
+const { definedFields, callBridge, parseList } = load('./bridge');
+
+test('definedFields leaves out undefined and null fields only', () => {
+  assert.deepEqual(
+    definedFields({ key: 'a', value: '', expiration: null, metadata: undefined, count: 0, done: false }),
+    { key: 'a', value: '', count: 0, done: false },
+  );
+});
+
+test('callBridge resolves to the output or rejects with the labelled error', async () => {
+  const engine = {
+    renderWithError: async (name, props) => (props.fail
+      ? { success: false, error: `${name} failed` }
+      : { success: true, html: '[1]' }),
+  };
+  assert.equal(await callBridge(engine, 'bridge.luat', {}, 'KV store'), '[1]');
+  await assert.rejects(callBridge(engine, 'bridge.luat', { fail: true }, 'KV store'), {
+    message: 'KV store: bridge.luat failed',
+  });
+});
+
+test('parseList reads an empty Lua table as an empty list', () => {
+  assert.deepEqual(parseList('{}'), []);
+  assert.deepEqual(parseList(''), []);
+  assert.deepEqual(parseList('[{"key":"a"}]'), [{ key: 'a' }]);
+});
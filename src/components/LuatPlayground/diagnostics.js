@@ -0,0 +1,83 @@
+// Map engine error strings to the playground file (and line/column) that caused them.
+//
+// Template parse errors carry an exact position:
+//   Parse error in Some("main.luat"):  --> 4:2 ... = expected tag_name at line 4, column 2
+//   Parse error in Card.luat: Parse error in None:  --> 2:1 ...
+// Lua errors in templates only name the template; their line numbers refer to
+// the generated Lua module, so they are reported without a position:
+//   runtime error: Card.luat:63: attempt to index a nil value (field 'a')
+// Plain .lua files run as written, so their line numbers are kept:
+//   runtime error: src/routes/+page.server.lua:3: attempt to index a nil value
+
+const PARSE_ERROR_FILE = /Parse error in (?:Some\("([^"]+)"\)|([^\s:]+)):/;
+const PARSE_ERROR_POSITION = /-->\s*(\d+):(\d+)/;
+const PARSE_ERROR_EXPECTED = /=\s*(expected .*?)(?: at line \d+, column \d+)?$/m;
+const LUA_ERROR = /(syntax|runtime) error: ([^\s:]+\.luat?):(\d+): ([^\n]*)/;
+
+/**
+ * Parse a render error into {file, line, column, message}.
+ * `line` and `column` are 1-based, or null when the position is unknown.
+ * Returns null when the error does not point at one of the given files.
+ */
+export function parseRenderError(error, files) {
+  if (!error) return null;
+  const names = new Set(files.map(f => f.name));
+
+  const parseFile = PARSE_ERROR_FILE.exec(error);
+  if (parseFile) {
+    const file = parseFile[1] || parseFile[2];
+    if (!names.has(file)) return null;
+    const position = PARSE_ERROR_POSITION.exec(error);
+    const expected = PARSE_ERROR_EXPECTED.exec(error);
+    return {
+      file,
+      line: position ? Number(position[1]) : null,
+      column: position ? Number(position[2]) : null,
+      message: expected ? `Parse error: ${expected[1]}` : 'Parse error',
+    };
+  }
+
+  const luaError = LUA_ERROR.exec(error);
+  if (luaError && names.has(luaError[2])) {
+    const isModule = luaError[2].endsWith('.lua');
+    return {
+      file: luaError[2],
+      line: isModule ? Number(luaError[3]) : null,
+      column: null,
+      message: `Lua ${luaError[1]} error: ${luaError[4]}`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Convert a parsed error into CodeMirror lint diagnostics for an editor state.
+ * Errors without a position are attached to the first line.
+ */
+export function toEditorDiagnostics(diagnostic, state) {
+  if (!diagnostic) return [];
+  const doc = state.doc;
+  const lineNumber = Math.min(Math.max(diagnostic.line || 1, 1), doc.lines);
+  const line = doc.line(lineNumber);
+  const from = diagnostic.column
+    ? Math.min(line.from + diagnostic.column - 1, line.to)
+    : line.from;
+  return [{
+    from,
+    to: Math.max(from, line.to),
+    severity: 'error',
+    source: 'luat',
+    message: diagnostic.line
+      ? diagnostic.message
+      : `${diagnostic.message} (line numbers of Lua errors refer to compiled code)`,
+  }];
+}
+
+/**
+ * Format a diagnostic location like main.luat:4:2
+ */
+export function formatLocation(diagnostic) {
+  if (!diagnostic.line) return diagnostic.file;
+  return `${diagnostic.file}:${diagnostic.line}${diagnostic.column ? `:${diagnostic.column}` : ''}`;
+}
@@ -0,0 +1,101 @@
+// Line diff for the Diff tab, using the longest common subsequence of the
+// lines so unchanged lines pair up and everything else shows as removed or added.
+
+// Past this many table cells the middle of the texts is shown as replaced
+// wholesale instead of diffed, to keep memory bounded on huge outputs
+const MAX_CELLS = 4000000;
+
+/**
+ * Compare two texts line by line. Returns [{type, text}] in order, where type
+ * is 'same', 'removed' (only in `before`) or 'added' (only in `after`).
+ */
+export function diffLines(before, after) {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  // Edits are usually local, so only the middle between a common head and tail is diffed
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const changes = a.slice(0, start).map(text => ({ type: 'same', text }));
+  const removed = (i) => changes.push({ type: 'removed', text: a[i] });
+  const added = (j) => changes.push({ type: 'added', text: b[j] });
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > MAX_CELLS) {
+    for (let i = start; i < endA; i++) removed(i);
+    for (let j = start; j < endB; j++) added(j);
+  } else {
+    // lengths[i * width + j]: length of the common subsequence of the middle lines from i and j on
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * width + j] = a[start + i] === b[start + j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (a[start + i] === b[start + j]) {
+        changes.push({ type: 'same', text: a[start + i] });
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        removed(start + i++);
+      } else {
+        added(start + j++);
+      }
+    }
+    while (i < n) removed(start + i++);
+    while (j < m) added(start + j++);
+  }
+
+  for (let i = endA; i < a.length; i++) changes.push({ type: 'same', text: a[i] });
+  return changes;
+}
+
+/**
+ * Lay out a diff in two columns. Each row is {left, right}, where a side is
+ * {type, text, line} or null; runs of removed and added lines share rows, so a
+ * changed line sits next to its replacement.
+ */
+export function sideBySide(changes) {
+  const rows = [];
+  let leftLine = 0;
+  let rightLine = 0;
+  let index = 0;
+  while (index < changes.length) {
+    const change = changes[index];
+    if (change.type === 'same') {
+      rows.push({
+        left: { ...change, line: ++leftLine },
+        right: { ...change, line: ++rightLine },
+      });
+      index++;
+      continue;
+    }
+
+    const removedRun = [];
+    const addedRun = [];
+    while (index < changes.length && changes[index].type !== 'same') {
+      const next = changes[index++];
+      if (next.type === 'removed') removedRun.push({ ...next, line: ++leftLine });
+      else addedRun.push({ ...next, line: ++rightLine });
+    }
+    for (let k = 0; k < Math.max(removedRun.length, addedRun.length); k++) {
+      rows.push({ left: removedRun[k] || null, right: addedRun[k] || null });
+    }
+  }
+  return rows;
+}
@@ -0,0 +1,254 @@
+// Client for the Luat engine running in dedicated Web Workers
+// (see static/wasm/luat-worker.js). Browser-only: call from effects, never during SSR.
+//
+// Every playground gets its own session. Sessions lease an engine (one worker
+// with its own template registry) from a small pool, so playgrounds on the
+// same page never see each other's templates. Each session keeps its engine
+// between runs; when the pool is full, the least recently used idle engine is
+// handed over and its previous owner recompiles on its next run.
+
+const WORKER_URL = '/wasm/luat-worker.js';
+const MAX_ENGINES = 4;
+
+export const DEFAULT_RENDER_TIMEOUT = 3000;
+
+const pool = []; // {worker, owner, busy, lastUsed}
+const waiting = []; // Leases queued until an engine becomes idle
+let useCounter = 0;
+let engineInfo = null; // {version, capabilities} of the bundled build
+
+/**
+ * Compare dotted version strings numerically ("0.10.0" > "0.9.2").
+ * Pre-release and build suffixes are ignored.
+ */
+export function compareVersions(a, b) {
+  const parse = (v) => String(v).split(/[-+]/)[0].split('.').map(n => parseInt(n, 10) || 0);
+  const pa = parse(a);
+  const pb = parse(b);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff > 0 ? 1 : -1;
+  }
+  return 0;
+}
+
+/**
+ * Spawn a worker and wire up request/response bookkeeping.
+ * Resolves once the WASM module inside the worker is initialized.
+ */
+function spawnWorker() {
+  const worker = new Worker(WORKER_URL);
+  const pending = new Map();
+  let nextId = 0;
+
+  const ready = new Promise((resolve, reject) => {
+    worker.onmessage = (event) => {
+      const { id, type, result, error, info } = event.data;
+
+      if (type === 'ready') {
+        resolve(info);
+        return;
+      }
+      if (type === 'error') {
+        reject(new Error(error));
+        return;
+      }
+
+      const request = pending.get(id);
+      if (!request) return;
+      pending.delete(id);
+      clearTimeout(request.timer);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(result);
+      }
+    };
+    worker.onerror = (event) => {
+      reject(new Error(event.message || 'Failed to load luat-worker.js'));
+    };
+  });
+
+  return {
+    ready,
+
+    call(type, args = {}, timeout = 0, onTimeout = null) {
+      const id = ++nextId;
+      return new Promise((resolve, reject) => {
+        const request = { resolve, reject, timer: null };
+        if (timeout > 0) {
+          request.timer = setTimeout(() => {
+            pending.delete(id);
+            reject(Object.assign(new Error(`Render timed out after ${timeout}ms`), { timedOut: true }));
+            if (onTimeout) onTimeout();
+          }, timeout);
+        }
+        pending.set(id, request);
+        worker.postMessage({ id, type, ...args });
+      });
+    },
+
+    terminate() {
+      worker.terminate();
+      for (const request of pending.values()) {
+        clearTimeout(request.timer);
+        request.reject(new Error('Luat engine was restarted'));
+      }
+      pending.clear();
+    },
+  };
+}
+
+function addEngine() {
+  const engine = { worker: spawnWorker(), owner: null, busy: 0, lastUsed: 0 };
+  pool.push(engine);
+  engine.worker.ready.catch(() => {
+    // Drop engines whose worker failed to start so the slot can be reused
+    const index = pool.indexOf(engine);
+    if (index !== -1 && engine.busy === 0) pool.splice(index, 1);
+  });
+  return engine;
+}
+
+// Kill a stuck worker and start a fresh one in its place
+function respawn(engine) {
+  engine.worker.terminate();
+  engine.worker = spawnWorker();
+  if (engine.owner) engine.owner.generation++;
+  engine.worker.ready.catch((e) => console.error('Failed to restart Luat worker:', e));
+}
+
+function claim(engine, session) {
+  if (engine.owner !== session) {
+    // The templates in the engine belong to someone else (or nobody)
+    engine.owner = session;
+    session.generation++;
+  }
+  engine.busy++;
+  engine.lastUsed = ++useCounter;
+  return engine;
+}
+
+/**
+ * Reserve an engine for a session. A session that already owns an engine gets
+ * it back; withEngine runs a session's tasks one at a time, so two of them
+ * never hold the engine at once.
+ */
+async function lease(session) {
+  for (;;) {
+    const owned = pool.find(e => e.owner === session);
+    if (owned) return claim(owned, session);
+
+    const unowned = pool.find(e => e.owner === null);
+    if (unowned) return claim(unowned, session);
+
+    if (pool.length < MAX_ENGINES) return claim(addEngine(), session);
+
+    const idle = pool
+      .filter(e => e.busy === 0)
+      .sort((a, b) => a.lastUsed - b.lastUsed)[0];
+    if (idle) return claim(idle, session);
+
+    await new Promise(resolve => waiting.push(resolve));
+  }
+}
+
+function release(engine) {
+  engine.busy--;
+  if (engine.busy === 0 && waiting.length > 0) {
+    waiting.shift()();
+  }
+}
+
+// The message API of a leased engine
+function engineClient(engine) {
+  const client = {
+    // Nested calls made from inside a task run on the lease it already holds
+    withEngine(task) {
+      return task(client);
+    },
+    async addTemplate(path, source) {
+      await engine.worker.ready;
+      return engine.worker.call('addTemplate', { path, source });
+    },
+    async clearTemplates() {
+      await engine.worker.ready;
+      return engine.worker.call('clearTemplates');
+    },
+    async removeTemplate(path) {
+      await engine.worker.ready;
+      return engine.worker.call('removeTemplate', { path });
+    },
+    // Resolves to {passed, failed, tests: [{name, passed, error}]}
+    async runTests() {
+      await engine.worker.ready;
+      return engine.worker.call('runTests');
+    },
+    // `repeat` renders that many times in one message, timed together
+    async renderWithError(entry, context = {}, { timeout = DEFAULT_RENDER_TIMEOUT, repeat = 1 } = {}) {
+      await engine.worker.ready;
+      try {
+        return await engine.worker.call('renderWithError', { entry, context, repeat }, timeout, () => respawn(engine));
+      } catch (e) {
+        if (e.timedOut) {
+          return { success: false, html: null, error: e.message, timedOut: true };
+        }
+        throw e;
+      }
+    },
+  };
+  return client;
+}
+
+/**
+ * Create an engine session for one playground.
+ * Resolves once the first engine has loaded the WASM module.
+ *
+ * `withEngine(task)` leases an engine and calls `task` with its client; hold
+ * the lease for a whole compile-and-render sequence. A session's tasks run one
+ * after the other in the order they were started, so a render, a benchmark or
+ * a test run never loads its templates into the engine while another task of
+ * the same playground is using it. Code inside a task that needs the engine
+ * again calls `withEngine` on the client it was given, which runs right away
+ * on the same lease (the session's would wait for the task itself).
+ *
+ * `generation` changes whenever the session's templates are lost (the engine
+ * was handed to another session, or restarted after a render timeout), so
+ * they must be added again. Call `close()` when the playground unmounts to
+ * free its engine.
+ */
+export async function createLuatSession() {
+  if (!engineInfo) {
+    const engine = pool.find(e => e.owner === null) || addEngine();
+    engineInfo = await engine.worker.ready;
+  }
+
+  // The last task started; each task waits for the one before it to settle
+  let queue = Promise.resolve();
+
+  const session = {
+    generation: 0,
+    version: engineInfo.version,
+    capabilities: engineInfo.capabilities,
+
+    withEngine(task) {
+      const run = queue.then(async () => {
+        const engine = await lease(session);
+        try {
+          return await task(engineClient(engine));
+        } finally {
+          release(engine);
+        }
+      });
+      queue = run.catch(() => {});
+      return run;
+    },
+
+    close() {
+      for (const engine of pool) {
+        if (engine.owner === session) engine.owner = null;
+      }
+    },
+  };
+  return session;
+}
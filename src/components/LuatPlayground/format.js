@@ -0,0 +1,323 @@
+// HTML pretty-printer for the HTML and Diff tabs.
+//
+// The output is tokenized and rebuilt from the original token text, so the
+// formatted HTML differs from the rendered HTML only in whitespace, and only
+// where that whitespace does not change the page: between block-level
+// elements, at the edges of block content, and at existing spaces in text,
+// which may become line breaks. Long open tags get one attribute per line.
+// <pre>, <textarea>, <script>, <style> and embedded SVG and MathML are kept
+// exactly as rendered.
+
+export const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta',
+  'param', 'source', 'track', 'wbr',
+]);
+
+// Elements whose content is text up to the closing tag
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Elements printed exactly as they are: whitespace is significant in them, or
+// (SVG, MathML) follows rules of its own
+const PRESERVED_ELEMENTS = new Set(['pre', 'script', 'style', 'textarea', 'svg', 'math']);
+
+// Phrasing elements: adding or removing whitespace around them is visible
+const INLINE_ELEMENTS = new Set([
+  'a', 'abbr', 'audio', 'b', 'bdi', 'bdo', 'br', 'button', 'canvas', 'cite',
+  'code', 'data', 'del', 'dfn', 'em', 'i', 'iframe', 'img', 'input', 'ins',
+  'kbd', 'label', 'math', 'mark', 'meter', 'object', 'output', 'picture',
+  'progress', 'q', 's', 'samp', 'select', 'small', 'span', 'strong', 'sub',
+  'sup', 'svg', 'textarea', 'time', 'u', 'var', 'video', 'wbr',
+]);
+
+const DEFAULT_WIDTH = 80;
+const INDENT = '  ';
+
+// Attributes of an open tag from `start` (just after the name), as their
+// source text. Quoted values may contain ">" and line breaks.
+function readAttributes(html, start) {
+  const attrs = [];
+  let i = start;
+  while (i < html.length) {
+    while (i < html.length && /\s/.test(html[i])) i++;
+    if (html[i] === '>') return { attrs, selfClosing: false, end: i + 1 };
+    if (html.startsWith('/>', i)) return { attrs, selfClosing: true, end: i + 2 };
+    if (html[i] === '/') {
+      i++;
+      continue;
+    }
+
+    const nameStart = i;
+    while (i < html.length && !/[\s=>]/.test(html[i]) && !html.startsWith('/>', i)) i++;
+    let j = i;
+    while (j < html.length && /\s/.test(html[j])) j++;
+    if (html[j] !== '=') {
+      attrs.push(html.slice(nameStart, i));
+      continue;
+    }
+
+    j++;
+    while (j < html.length && /\s/.test(html[j])) j++;
+    const quote = html[j];
+    let valueEnd;
+    if (quote === '"' || quote === "'") {
+      valueEnd = html.indexOf(quote, j + 1);
+      valueEnd = valueEnd === -1 ? html.length : valueEnd + 1;
+    } else {
+      valueEnd = j;
+      while (valueEnd < html.length && !/[\s>]/.test(html[valueEnd])) valueEnd++;
+    }
+    attrs.push(`${html.slice(nameStart, i)}=${html.slice(j, valueEnd)}`);
+    i = valueEnd;
+  }
+  return { attrs, selfClosing: false, end: html.length };
+}
+
+/**
+ * Split HTML into tokens: {type: 'text' | 'comment' | 'doctype', text},
+ * {type: 'open', name, attrs, selfClosing}, {type: 'close', name, text} and
+ * {type: 'raw', text} for the content of raw text elements.
+ */
+export function tokenizeHtml(html) {
+  const tokens = [];
+  let i = 0;
+  let textStart = 0;
+
+  const flushText = (end) => {
+    if (end > textStart) tokens.push({ type: 'text', text: html.slice(textStart, end) });
+  };
+
+  while (i < html.length) {
+    if (html[i] !== '<') {
+      i++;
+      continue;
+    }
+
+    if (html.startsWith('<!--', i)) {
+      flushText(i);
+      const end = html.indexOf('-->', i + 4);
+      const stop = end === -1 ? html.length : end + 3;
+      tokens.push({ type: 'comment', text: html.slice(i, stop) });
+      i = textStart = stop;
+    } else if (html[i + 1] === '!' || html[i + 1] === '?') {
+      flushText(i);
+      const end = html.indexOf('>', i);
+      const stop = end === -1 ? html.length : end + 1;
+      tokens.push({ type: 'doctype', text: html.slice(i, stop) });
+      i = textStart = stop;
+    } else if (html[i + 1] === '/' && /[A-Za-z]/.test(html[i + 2] || '')) {
+      flushText(i);
+      const end = html.indexOf('>', i);
+      const stop = end === -1 ? html.length : end + 1;
+      const name = html.slice(i + 2, stop).match(/^[^\s/>]+/)[0];
+      tokens.push({ type: 'close', name: name.toLowerCase(), text: `</${name}>` });
+      i = textStart = stop;
+    } else if (/[A-Za-z]/.test(html[i + 1] || '')) {
+      flushText(i);
+      const name = html.slice(i + 1).match(/^[^\s/>]+/)[0];
+      const { attrs, selfClosing, end } = readAttributes(html, i + 1 + name.length);
+      const lower = name.toLowerCase();
+      tokens.push({ type: 'open', name: lower, tagName: name, attrs, selfClosing });
+      i = textStart = end;
+
+      // Raw text runs to the matching closing tag, whatever it contains
+      if (RAW_TEXT_ELEMENTS.has(lower) && !selfClosing) {
+        const close = html.toLowerCase().indexOf(`</${lower}`, i);
+        const stop = close === -1 ? html.length : close;
+        if (stop > i) tokens.push({ type: 'raw', text: html.slice(i, stop) });
+        i = textStart = stop;
+      }
+    } else {
+      i++;
+    }
+  }
+  flushText(html.length);
+  return tokens;
+}
+
+function openTagText(node) {
+  const end = node.selfClosing ? (node.attrs.length ? ' />' : '/>') : '>';
+  return `<${node.tagName}${node.attrs.map(attr => ` ${attr}`).join('')}${end}`;
+}
+
+// Build a tree from the tokens. Closing tags close the nearest open element
+// with that name; unmatched closing tags stay in place as stray tokens, and
+// elements never closed in the source are printed without a closing tag.
+function buildTree(tokens) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  for (const token of tokens) {
+    const parent = stack[stack.length - 1];
+    if (token.type === 'open') {
+      const node = { ...token, type: 'element', children: [], closed: false };
+      parent.children.push(node);
+      if (!token.selfClosing && !VOID_ELEMENTS.has(token.name)) stack.push(node);
+    } else if (token.type === 'close') {
+      const index = stack.map(node => node.name).lastIndexOf(token.name);
+      if (index > 0) {
+        stack[index].closed = true;
+        stack[index].closeText = token.text;
+        stack.length = index;
+      } else {
+        parent.children.push({ type: 'stray', text: token.text });
+      }
+    } else {
+      parent.children.push(token);
+    }
+  }
+  return root;
+}
+
+// Source text of a node, exactly as it was rendered
+function sourceText(node) {
+  if (node.type !== 'element') return node.text;
+  return openTagText(node)
+    + node.children.map(sourceText).join('')
+    + (node.closed ? node.closeText : '');
+}
+
+// Whether a node is laid out inline, where any whitespace change shows
+function isInline(node) {
+  if (node.type === 'element') {
+    if (!INLINE_ELEMENTS.has(node.name)) return false;
+    return PRESERVED_ELEMENTS.has(node.name) || node.children.every(isInline);
+  }
+  return node.type !== 'doctype';
+}
+
+// Flatten inline nodes into atoms: unbreakable pieces of text, each marked
+// with whether whitespace preceded it in the source (where a line may break)
+function inlineAtoms(nodes) {
+  const atoms = [];
+  let space = false;
+  const push = (text, tag) => {
+    atoms.push({ text, space, tag });
+    space = false;
+  };
+  const visit = (node) => {
+    if (node.type === 'text') {
+      const parts = node.text.split(/[ \t\n\r\f]+/);
+      parts.forEach((part, index) => {
+        if (index > 0) space = true;
+        if (part) push(part);
+      });
+    } else if (node.type === 'element' && !PRESERVED_ELEMENTS.has(node.name)) {
+      push(openTagText(node), node);
+      node.children.forEach(visit);
+      if (node.closed) push(node.closeText);
+    } else {
+      push(sourceText(node));
+    }
+  };
+  nodes.forEach(visit);
+  return atoms;
+}
+
+// Whether an open tag can be split into one attribute per line
+function canSplitTag(node) {
+  return Boolean(node) && node.attrs.length > 1 && !openTagText(node).includes('\n');
+}
+
+// Lines of a run of inline atoms, broken only where the source had whitespace
+// or between the attributes of an open tag that doesn't fit
+function wrapAtoms(atoms, pad, width) {
+  const lines = [];
+  let line = '';
+  for (const atom of atoms) {
+    const separator = line && atom.space ? ' ' : '';
+    if (pad.length + line.length + separator.length + atom.text.length <= width) {
+      line += separator + atom.text;
+      continue;
+    }
+    if (separator) {
+      lines.push(pad + line);
+      line = '';
+    }
+    if (canSplitTag(atom.tag)) {
+      lines.push(`${pad}${line}<${atom.tag.tagName}`);
+      lines.push(...atom.tag.attrs.map(attr => pad + INDENT + attr));
+      line = atom.tag.selfClosing ? '/>' : '>';
+    } else {
+      line += atom.text;
+    }
+  }
+  if (line) lines.push(pad + line);
+  return lines;
+}
+
+function joinAtoms(atoms) {
+  return atoms.map((atom, index) => (index > 0 && atom.space ? ' ' : '') + atom.text).join('');
+}
+
+// Open tag on one line, or with one attribute per line when it is too long
+function openTagLines(node, pad, width) {
+  const text = openTagText(node);
+  if (pad.length + text.length <= width || !canSplitTag(node)) {
+    return [pad + text];
+  }
+  return [
+    `${pad}<${node.tagName}`,
+    ...node.attrs.map(attr => pad + INDENT + attr),
+    pad + (node.selfClosing ? '/>' : '>'),
+  ];
+}
+
+function printNodes(nodes, depth, width, lines) {
+  let run = [];
+  const flushRun = () => {
+    const atoms = inlineAtoms(run);
+    if (atoms.length > 0) lines.push(...wrapAtoms(atoms, INDENT.repeat(depth), width));
+    run = [];
+  };
+
+  for (const node of nodes) {
+    if (isInline(node)) {
+      run.push(node);
+    } else {
+      flushRun();
+      printBlock(node, depth, width, lines);
+    }
+  }
+  flushRun();
+}
+
+function printBlock(node, depth, width, lines) {
+  const pad = INDENT.repeat(depth);
+  if (node.type !== 'element') {
+    lines.push(pad + node.text.trim());
+    return;
+  }
+  if (PRESERVED_ELEMENTS.has(node.name)) {
+    lines.push(pad + sourceText(node));
+    return;
+  }
+
+  const close = node.closed ? node.closeText : '';
+  const children = node.children;
+  // Content of nothing but inline nodes goes on the tag's line if it fits
+  if (children.every(isInline)) {
+    const oneLine = pad + openTagText(node) + joinAtoms(inlineAtoms(children)) + close;
+    if (oneLine.length <= width && !oneLine.includes('\n')) {
+      lines.push(oneLine);
+      return;
+    }
+    if (children.length === 0) {
+      lines.push(...openTagLines(node, pad, width));
+      if (close) lines[lines.length - 1] += close;
+      return;
+    }
+  }
+
+  lines.push(...openTagLines(node, pad, width));
+  printNodes(children, depth + 1, width, lines);
+  if (close) lines.push(pad + close);
+}
+
+/**
+ * Pretty-print rendered HTML for reading and copying. Only whitespace that
+ * does not affect the page is changed; `width` is the line length to aim for.
+ */
+export function formatHtml(html, { width = DEFAULT_WIDTH } = {}) {
+  const lines = [];
+  printNodes(buildTree(tokenizeHtml(html)).children, 0, width, lines);
+  return lines.join('\n');
+}
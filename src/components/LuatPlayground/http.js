@@ -0,0 +1,148 @@
+// HTTP fixtures for playground examples (the playground's "fixtures" option).
+//
+// Examples can't reach the network, so a Lua implementation of the `http`
+// module (get, post, put, delete, patch, request) is loaded as a bridge
+// template. It answers every call from the fixture responses declared on the
+// playground, keyed by method and URL, and records the calls; afterwards the
+// bridge dumps them for the Requests tab and the simulated latency.
+
+import { bridgeFile, definedFields, callBridge, parseList } from './bridge';
+
+export const HTTP_BRIDGE_NAME = '__luat_http__.luat';
+
+// Default request timeout of the http module, in seconds
+const DEFAULT_TIMEOUT = 30;
+
+export const HTTP_BRIDGE_SOURCE = `<script>
+local out = ""
+
+-- Fixture for a call: method and URL first, then any method, then the URL without its query
+local function find(method, url)
+  local path = url:match("^[^?#]*")
+  for _, candidate in ipairs({ url, path }) do
+    for _, fixture in ipairs(__luat_http_fixtures or {}) do
+      if fixture.url == candidate and fixture.method == method then return fixture end
+    end
+    for _, fixture in ipairs(__luat_http_fixtures or {}) do
+      if fixture.url == candidate and fixture.method == nil then return fixture end
+    end
+  end
+  return nil
+end
+
+-- Errors point at the code calling the http module (three levels up)
+local function send(method, url, options)
+  options = options or {}
+  method = string.upper(method or "GET")
+  if type(url) ~= "string" or url == "" then
+    error("http: url must be a non-empty string", 3)
+  end
+
+  local call = { method = method, url = url, headers = options.headers, body = options.body, delay = 0 }
+  table.insert(__luat_http_calls, call)
+
+  local fixture = find(method, url)
+  if not fixture then
+    call.error = "no fixture for " .. method .. " " .. url
+    error("http: " .. call.error, 3)
+  end
+
+  local timeout = options.timeout or ${DEFAULT_TIMEOUT}
+  call.delay = math.min(fixture.delay or 0, timeout * 1000)
+  if (fixture.delay or 0) > timeout * 1000 then
+    call.error = string.format("timed out after %gs", timeout)
+  elseif fixture.error then
+    call.error = fixture.error
+  end
+  if call.error then
+    error("http: " .. method .. " " .. url .. ": " .. call.error, 3)
+  end
+
+  local status = fixture.status or 200
+  call.status = status
+  call.response_headers = fixture.headers
+  call.response_body = fixture.body
+  return {
+    status = status,
+    ok = status >= 200 and status < 300,
+    body = fixture.body or "",
+    headers = fixture.headers or {},
+  }
+end
+
+-- The parentheses keep these from being tail calls, which would drop a level
+local http = {
+  get = function(url, options) return (send("GET", url, options)) end,
+  post = function(url, options) return (send("POST", url, options)) end,
+  put = function(url, options) return (send("PUT", url, options)) end,
+  delete = function(url, options) return (send("DELETE", url, options)) end,
+  patch = function(url, options) return (send("PATCH", url, options)) end,
+  request = function(options) return (send(options.method, options.url, options)) end,
+}
+
+if props.action == "load" then
+  __luat_http_fixtures = props.fixtures or {}
+  __luat_http_calls = {}
+  -- Modules that already required http keep working: the functions read the globals above
+  package.loaded.http = http
+  package.preload.http = function() return http end
+elseif props.action == "dump" then
+  out = json.encode(__luat_http_calls or {})
+end
+</script>{@html out}`;
+
+export const HTTP_BRIDGE_FILE = bridgeFile(HTTP_BRIDGE_NAME, HTTP_BRIDGE_SOURCE);
+
+/**
+ * Turn the fixtures prop into the list the bridge matches calls against.
+ *
+ * Keys are "METHOD URL", or a bare URL for any method. Values are
+ * {status?, headers?, body?, delay?, error?}: a body that isn't a string is
+ * sent as JSON, delay is the simulated latency in milliseconds, and error
+ * makes the call fail as if the network did.
+ */
+export function normalizeFixtures(fixtures) {
+  return Object.entries(fixtures || {}).map(([key, value]) => {
+    const match = key.trim().match(/^([A-Za-z]+)\s+(\S+)$/);
+    const headers = { ...value.headers };
+    let body = value.body;
+    if (body !== undefined && typeof body !== 'string') {
+      body = JSON.stringify(body);
+      if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+        headers['Content-Type'] = 'application/json';
+      }
+    }
+    return definedFields({
+      url: match ? match[2] : key.trim(),
+      method: match && match[1].toUpperCase(),
+      headers,
+      status: value.status,
+      body,
+      delay: value.delay,
+      error: value.error == null ? undefined : String(value.error),
+    });
+  });
+}
+
+/**
+ * Install the http module answering from `fixtures` (normalized) in the leased engine
+ */
+export async function loadHttp(engine, fixtures) {
+  await callBridge(engine, HTTP_BRIDGE_NAME, { action: 'load', fixtures }, 'HTTP fixtures');
+}
+
+/**
+ * Read back the calls made through the http module since it was loaded, as
+ * {request, response, delay} in the order they were made. Failed calls have
+ * a response with status 0 and the error as body.
+ */
+export async function dumpHttp(engine) {
+  const calls = parseList(await callBridge(engine, HTTP_BRIDGE_NAME, { action: 'dump' }, 'HTTP fixtures'));
+  return calls.map(call => ({
+    request: { method: call.method, url: call.url, headers: call.headers || {}, body: call.body },
+    response: call.error
+      ? { status: 0, headers: {}, body: call.error }
+      : { status: call.status, headers: call.response_headers || {}, body: call.response_body },
+    delay: call.delay || 0,
+  }));
+}
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+// The components are ES modules; jiti loads them the way Docusaurus loads the plugins
+const load = require('jiti')(__filename);
+
+const { normalizeFixtures } = load('./http');
+
+test('fixtures keyed by method and URL, or a bare URL', () => {
+  assert.deepEqual(normalizeFixtures({
+    'post https://api.example.com/orders': { status: 201, body: 'created' },
+    'https://api.example.com/down': { error: 'connection refused', delay: 50 },
+  }), [
+    { url: 'https://api.example.com/orders', method: 'POST', headers: {}, status: 201, body: 'created' },
+    { url: 'https://api.example.com/down', headers: {}, delay: 50, error: 'connection refused' },
+  ]);
+});
+
+test('a body that is not a string is sent as JSON', () => {
+  const [fixture] = normalizeFixtures({ 'https://api.example.com/products': { body: [{ id: 1 }] } });
+  assert.equal(fixture.body, '[{"id":1}]');
+  assert.deepEqual(fixture.headers, { 'Content-Type': 'application/json' });
+});
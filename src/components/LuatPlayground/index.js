@@ -1,104 +1,84 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useColorMode } from '@docusaurus/theme-common';
-import { Play, RotateCcw, AlertCircle, Loader2, Eye, Code, Zap } from 'lucide-react';
+import useIsBrowser from '@docusaurus/useIsBrowser';
+import { Play, RotateCcw, AlertCircle, Loader2, Eye, Code, Zap, TimerOff, Share2, Check, FlaskConical, TriangleAlert, Globe, Database, ArrowLeftRight, GitCompare, Gauge, Download } from 'lucide-react';
+import { createLuatSession, compareVersions, DEFAULT_RENDER_TIMEOUT } from './engine';
+import { getShareUrl } from './share';
+import { buildProjectZip, PROJECT_NAME } from './project';
+import { staticMarkup } from './prerender';
+import FileTabs, { nextUntitledName } from './FileTabs';
+import { parseRenderError, toEditorDiagnostics, formatLocation } from './diagnostics';
+import { PREVIEW_RUNTIMES, registerOfflineCache } from './offline';
+import { isTestFile, runProjectTests } from './testing';
+import TestResults from './TestResults';
+import KvInspector from './KvInspector';
+import RequestLog from './RequestLog';
+import DiffView from './DiffView';
+import { formatHtml } from './format';
+import BenchmarkPanel from './BenchmarkPanel';
+import { summarize, normalizeOptions, nextBatch, formatTime } from './benchmark';
+import {
+  ROUTE_DRIVER_FILE,
+  ROUTE_DRIVER_NAME,
+  normalizeUrl,
+  resolveRequest,
+  toResponse,
+  notFoundResponse,
+  getHeader,
+  getRedirect,
+  resolveLocation,
+  errorResponse,
+} from './routes';
+import { routesPreviewScript } from './routesPreview';
+import { KV_BRIDGE_FILE, createKvStore, loadKv, dumpKv } from './kv';
+import { HTTP_BRIDGE_FILE, normalizeFixtures, loadHttp, dumpHttp } from './http';
 import styles from './styles.module.css';
 
-// Simple HTML formatter for better readability
-function formatHtml(html) {
-  let formatted = '';
-  let indent = 0;
-  const tab = '  ';
-
-  // Split by tags while preserving them
-  const tokens = html.replace(/>\s*</g, '>\n<').split('\n');
-
-  tokens.forEach(token => {
-    const trimmed = token.trim();
-    if (!trimmed) return;
-
-    // Decrease indent for closing tags
-    if (trimmed.startsWith('</')) {
-      indent = Math.max(0, indent - 1);
-    }
-
-    formatted += tab.repeat(indent) + trimmed + '\n';
+// Serialize the context prop for the JSON editor
+function stringifyContext(context) {
+  if (context === undefined || context === null) return '{}';
+  if (typeof context === 'string') return context;
+  return JSON.stringify(context, null, 2);
+}
 
-    // Increase indent for opening tags (not self-closing or void elements)
-    if (trimmed.startsWith('<') &&
-        !trimmed.startsWith('</') &&
-        !trimmed.endsWith('/>') &&
-        !trimmed.startsWith('<!') &&
-        !/^<(area|base|br|col|embed|hr|img|input|link|meta|param|source|track|wbr)\b/i.test(trimmed)) {
-      indent++;
+// Parse the context editor content, returning either a value or an error message
+function parseContext(text) {
+  if (!text.trim()) return { value: {}, error: null };
+  try {
+    const value = JSON.parse(text);
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return { value: null, error: 'Context must be a JSON object' };
     }
-  });
-
-  return formatted.trim();
+    return { value, error: null };
+  } catch (e) {
+    return { value: null, error: e.message };
+  }
 }
 
-// Singleton for the Luat WASM module
-let luatModule = null;
-let luatLoading = null;
-let instanceCounter = 0;
-let lastCompiledInstance = null; // Track which instance last compiled templates
-
-/**
- * Load the Luat WASM module
- */
-async function loadLuatModule() {
-  if (luatModule) return luatModule;
-  if (luatLoading) return luatLoading;
-
-  luatLoading = (async () => {
-    // Load the Emscripten module via script tag
-    await new Promise((resolve, reject) => {
-      if (window.Module && typeof window.Module === 'function') {
-        resolve();
-        return;
-      }
-      const script = document.createElement('script');
-      script.src = '/wasm/luat-wasm.js';
-      script.onload = resolve;
-      script.onerror = () => reject(new Error('Failed to load luat-wasm.js'));
-      document.head.appendChild(script);
-    });
+// Redirects followed in a row before giving up, and requests kept in the Requests tab
+const MAX_REDIRECTS = 5;
+const MAX_LOGGED_REQUESTS = 50;
 
-    // Create the module instance
-    const createModule = window.Module;
-    const Module = await createModule({
-      locateFile: (path) => `/wasm/${path}`
-    });
+// Preview document for a routes mode response: HTML as is, anything else as text
+function responseToHtml(response) {
+  const contentType = getHeader(response, 'Content-Type') || '';
+  if (contentType.includes('text/html')) return response.body;
+  const text = `${response.status}\n\n${response.body}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;');
+  return `<pre>${text}</pre>`;
+}
 
-    // Initialize the Luat engine
-    const result = Module.ccall('luat_init', 'number', [], []);
-    if (result !== 0) {
-      throw new Error('Failed to initialize Luat engine');
-    }
-
-    luatModule = {
-      addTemplate(path, source) {
-        const r = Module.ccall('luat_add_template', 'number', ['string', 'string'], [path, source]);
-        if (r !== 0) throw new Error(`Failed to add template: ${path}`);
-      },
-      clearTemplates() {
-        Module.ccall('luat_clear_templates', 'number', [], []);
-      },
-      renderWithError(entry, context = {}) {
-        const contextJson = JSON.stringify(context);
-        const resultPtr = Module.ccall('luat_render_with_error', 'number', ['string', 'string'], [entry, contextJson]);
-        if (resultPtr === 0) {
-          return { success: false, html: null, error: 'Internal error' };
-        }
-        const resultJson = Module.UTF8ToString(resultPtr);
-        Module._luat_free_string(resultPtr);
-        return JSON.parse(resultJson);
-      }
-    };
+// Simulated latency of the http calls of a render, which run one after another
+function networkDelay(calls) {
+  return calls.reduce((total, call) => total + call.delay, 0);
+}
 
-    return luatModule;
-  })();
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-  return luatLoading;
+// Entry point when none is chosen: main.luat, or the first file
+function getDefaultEntry(files) {
+  return (files.find(f => f.name === 'main.luat') || files[0])?.name;
 }
 
 /**
@@ -107,18 +87,60 @@ async function loadLuatModule() {
  * Props:
  * - code: Single file code (shorthand for files=[{name: 'main.luat', code}])
  * - files: Array of {name, code} for multi-file examples
+ * - context: Render context passed to the entry template as props (object or JSON string).
+ *            When set, an editable "Context (JSON)" pane is shown below the editor.
+ * - contextHeight: Context editor height in pixels
+ * - entry: Name of the file to render (defaults to main.luat, or the first file)
+ * - routes: Render files under src/routes/ with file-based routing instead of a single
+ *           entry file, with an address bar to request URLs (context is not used)
+ * - url: Initial URL in routes mode. Forms and fetch() calls in the preview are sent to the
+ *        project's form actions and +server.lua handlers and listed in a Requests tab.
+ * - kv: Provide the KV global and a KV tab to inspect its keys. true keeps the entries in
+ *       memory; a string keeps them in IndexedDB under that name, so they survive reloads
+ * - fixtures: Responses for the Lua http module, keyed by "METHOD URL" or a bare URL, as
+ *             {status, headers, body, delay, error}. Calls wait out the delay (ms) and
+ *             are listed in the Requests tab; calls without a fixture fail.
+ * - manageFiles: Allow creating, renaming and deleting files and choosing the entry file
+ * - resizable: Show a draggable divider between the editor and the output
+ * - onChange: Called with {files, context, entry} and the mode props a permalink carries
+ *             (routes, url, kv, fixtures, alpine, htmx) whenever the project is edited
  * - height: Editor height in pixels
  * - autoRun: Auto-run on load
- * - alpine: Include Alpine.js CDN for interactive examples
- * - htmx: Include htmx CDN for AJAX examples
+ * - live: Re-render automatically after a pause in typing (with autoRun off, this
+ *         renders once the delay has passed after load)
+ * - liveDelay: Debounce delay for live mode in milliseconds
+ * - renderTimeout: Milliseconds a render may take before the engine worker is restarted
+ * - minVersion: Oldest Luat engine version the example works with; older builds show a warning
+ * - alpine: Include Alpine.js for interactive examples
+ * - benchmark: Show a Benchmark tab that times many renders and compares saved variants
+ * - htmx: Include htmx for AJAX examples. In routes mode its requests are answered by the
+ *         project's actions and +server.lua handlers
+ * - prerendered: Output of the first render, shown until the engine has run. Set at build
+ *                time on the examples in MDX files (see plugins/playground-examples)
  */
 export default function LuatPlayground({
   code: initialCode = '',
   files: initialFiles = [],
+  context: initialContext,
+  contextHeight = 120,
+  entry: initialEntry,
+  routes = false,
+  url: initialUrl = '/',
+  kv = false,
+  fixtures,
+  manageFiles = false,
+  resizable = false,
+  onChange,
   height = 300,
   autoRun = true,
+  live = false,
+  liveDelay = 500,
+  renderTimeout = DEFAULT_RENDER_TIMEOUT,
+  minVersion,
   alpine = false,
   htmx = false,
+  benchmark = false,
+  prerendered,
 }) {
   // Convert single code prop to files array
   const getInitialFiles = () => {
@@ -131,46 +153,110 @@ export default function LuatPlayground({
     return [{ name: 'main.luat', code: '' }];
   };
 
+  const hasContext = initialContext !== undefined;
+
   const { colorMode } = useColorMode();
   const isDarkMode = colorMode === 'dark';
+  const isBrowser = useIsBrowser();
 
   const [files, setFiles] = useState(getInitialFiles);
+  const [contextText, setContextText] = useState(() => stringifyContext(initialContext));
+  const [contextError, setContextError] = useState(() => parseContext(stringifyContext(initialContext)).error);
+  const [entryName, setEntryName] = useState(() => initialEntry || getDefaultEntry(getInitialFiles()));
   const [activeTab, setActiveTab] = useState(0);
-  const [outputTab, setOutputTab] = useState('preview'); // 'preview' or 'html'
-  const [output, setOutput] = useState('');
+  const [split, setSplit] = useState(50); // Editor width in percent when resizable
+  const [dragging, setDragging] = useState(false);
+  const [outputTab, setOutputTab] = useState('preview'); // 'preview', 'html', 'diff', 'tests', 'kv', 'requests' or 'benchmark'
+  const [rawHtml, setRawHtml] = useState(false); // Show the HTML tab unformatted
+  const [output, setOutput] = useState(prerendered || '');
   const [error, setError] = useState(null);
+  const [timedOut, setTimedOut] = useState(false);
+  const [diagnostic, setDiagnostic] = useState(null); // {file, line, column, message} of the last error
+  const [running, setRunning] = useState(false);
   const [loading, setLoading] = useState(true);
-  const [luat, setLuat] = useState(null);
+  const [luat, setLuat] = useState(null); // Engine session of this playground
   const [compileTime, setCompileTime] = useState(null);
   const [renderTime, setRenderTime] = useState(null);
+  const [networkTime, setNetworkTime] = useState(null); // Simulated http latency of the last run
   const [cached, setCached] = useState(false);
+  const [testResults, setTestResults] = useState(null); // {suites, engine, error, timedOut}
+  const [testsRunning, setTestsRunning] = useState(false);
+  const [addressDraft, setAddressDraft] = useState(() => normalizeUrl(initialUrl) || '/'); // Address bar input
+  const [routeMatch, setRouteMatch] = useState(null); // {id, page, params} of the rendered route
+  const [kvEntries, setKvEntries] = useState(null); // Contents of the KV store, null while loading
+  const [requestLog, setRequestLog] = useState([]); // Requests handled in routes mode, newest first
+  const [originalOutput, setOriginalOutput] = useState({ html: null, error: null }); // Diff tab baseline
+  const [benchmarkState, setBenchmarkState] = useState({
+    running: false,
+    error: null,
+    result: null, // Statistics of the current code
+    variants: { A: null, B: null }, // Saved {files, context, entry, savedAt}
+    comparison: null, // Statistics of variants A and B
+  });
+  const [lastRunKey, setLastRunKey] = useState(null); // Files + context of the displayed output
+  const [shareStatus, setShareStatus] = useState(null); // 'copied' while the link confirmation shows
   const editorRef = useRef(null);
   const editorViewRef = useRef(null);
+  const contextEditorRef = useRef(null);
+  const contextEditorViewRef = useRef(null);
+  const playgroundRef = useRef(null);
   const htmlViewerRef = useRef(null);
   const htmlViewerViewRef = useRef(null);
+  const iframeRef = useRef(null);
+  const addressRef = useRef(addressDraft); // URL requested in routes mode
+  const kvStoreRef = useRef(null); // Storage behind the KV global
+  const pendingRequestRef = useRef(null); // Form submission or redirect for the next run in routes mode
+  const lastRequestRef = useRef(null); // Request behind the displayed output in routes mode
+  const lastKvSnapshotRef = useRef(null); // KV keys the displayed output was rendered from
+  const requestIdRef = useRef(0);
   const lastCompiledRef = useRef(null); // Cache: stores hash of last compiled code
-  const instanceIdRef = useRef(null); // Unique ID for this playground instance
-
-  // Initialize instance ID once
-  if (instanceIdRef.current === null) {
-    instanceIdRef.current = ++instanceCounter;
-  }
+  const baselineSessionRef = useRef(null); // Engine session of the Diff tab baseline, once opened
+  const baselineCompiledRef = useRef(null); // Cache: hash of the baseline's compiled code
+  const runIdRef = useRef(0); // Discards results of superseded runs
+  const testRunIdRef = useRef(0); // Discards results of superseded test runs
+  const runCodeRef = useRef(null); // Latest runCode for editor key bindings
 
   // Keep refs to avoid stale closures in callbacks
   const filesRef = useRef(files);
   filesRef.current = files;
   const activeTabRef = useRef(activeTab);
   activeTabRef.current = activeTab;
+  const contextTextRef = useRef(contextText);
+  contextTextRef.current = contextText;
+  const entryNameRef = useRef(entryName);
+  entryNameRef.current = entryName;
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+  const diagnosticRef = useRef(diagnostic);
+  diagnosticRef.current = diagnostic;
+  const outputTabRef = useRef(outputTab);
+  outputTabRef.current = outputTab;
+
+  // Show the last render error as lint markers when its file is in the editor
+  const applyDiagnostics = async (view) => {
+    const { setDiagnostics } = await import('@codemirror/lint');
+    const current = diagnosticRef.current;
+    const activeFile = filesRef.current[activeTabRef.current];
+    const diagnostics = current && activeFile && current.file === activeFile.name
+      ? toEditorDiagnostics(current, view.state)
+      : [];
+    view.dispatch(setDiagnostics(view.state, diagnostics));
+  };
 
-  // Load WASM module
+  // Load WASM module and open this playground's engine session
   useEffect(() => {
     let mounted = true;
+    let session = null;
 
-    loadLuatModule()
-      .then((mod) => {
+    registerOfflineCache();
+    createLuatSession()
+      .then((created) => {
+        session = created;
         if (mounted) {
-          setLuat(mod);
+          setLuat(created);
           setLoading(false);
+        } else {
+          created.close();
         }
       })
       .catch((e) => {
@@ -181,9 +267,27 @@ export default function LuatPlayground({
         }
       });
 
-    return () => { mounted = false; };
+    return () => {
+      mounted = false;
+      session?.close();
+      baselineSessionRef.current?.then(baseline => baseline.close(), () => {});
+    };
   }, []);
 
+  // Open the KV store and show what it already holds
+  useEffect(() => {
+    if (!kv) return;
+    let mounted = true;
+    const store = createKvStore(typeof kv === 'string' ? kv : undefined);
+    kvStoreRef.current = store;
+    store.read().then((entries) => {
+      if (mounted) setKvEntries(entries);
+    });
+    return () => {
+      mounted = false;
+    };
+  }, [kv]);
+
   // Initialize CodeMirror editor
   useEffect(() => {
     let cleanup = null;
@@ -199,14 +303,19 @@ export default function LuatPlayground({
 
       try {
         const { EditorView, basicSetup } = await import('codemirror');
-        const { html } = await import('@codemirror/lang-html');
+        const { runKeymap } = await import('./keymap');
+        const { languageForFile } = await import('./luatLanguage');
+        const { lintGutter } = await import('@codemirror/lint');
         const { oneDark } = await import('@codemirror/theme-one-dark');
 
+        const activeFile = filesRef.current[activeTabRef.current];
         const codeView = new EditorView({
-          doc: filesRef.current[activeTabRef.current]?.code || '',
+          doc: activeFile?.code || '',
           extensions: [
+            runKeymap(() => runCodeRef.current?.()),
             basicSetup,
-            html(),
+            languageForFile(activeFile?.name || 'main.luat'),
+            lintGutter(),
             oneDark,
             EditorView.updateListener.of((update) => {
               if (update.docChanged) {
@@ -222,6 +331,7 @@ export default function LuatPlayground({
         });
         editorViewRef.current = codeView;
         cleanup = () => codeView.destroy();
+        await applyDiagnostics(codeView);
       } catch (e) {
         console.error('Failed to load CodeMirror:', e);
       }
@@ -231,6 +341,58 @@ export default function LuatPlayground({
     return () => { if (cleanup) cleanup(); };
   }, [activeTab]);
 
+  // Refresh lint markers after each run; tab switches are handled by initEditor
+  useEffect(() => {
+    if (editorViewRef.current) {
+      applyDiagnostics(editorViewRef.current);
+    }
+  }, [diagnostic]);
+
+  // Initialize CodeMirror editor for the render context
+  useEffect(() => {
+    if (!hasContext) return;
+    let cleanup = null;
+
+    async function initContextEditor() {
+      if (!contextEditorRef.current) return;
+
+      try {
+        const { EditorView, basicSetup } = await import('codemirror');
+        const { runKeymap } = await import('./keymap');
+        const { json } = await import('@codemirror/lang-json');
+        const { oneDark } = await import('@codemirror/theme-one-dark');
+
+        const contextView = new EditorView({
+          doc: contextTextRef.current,
+          extensions: [
+            runKeymap(() => runCodeRef.current?.()),
+            basicSetup,
+            json(),
+            oneDark,
+            EditorView.updateListener.of((update) => {
+              if (update.docChanged) {
+                const newText = update.state.doc.toString();
+                setContextText(newText);
+                setContextError(parseContext(newText).error);
+              }
+            }),
+          ],
+          parent: contextEditorRef.current,
+        });
+        contextEditorViewRef.current = contextView;
+        cleanup = () => {
+          contextView.destroy();
+          contextEditorViewRef.current = null;
+        };
+      } catch (e) {
+        console.error('Failed to load CodeMirror for context editor:', e);
+      }
+    }
+
+    initContextEditor();
+    return () => { if (cleanup) cleanup(); };
+  }, [hasContext]);
+
   // Update editor content when tab changes
   useEffect(() => {
     const currentFiles = filesRef.current;
@@ -249,6 +411,22 @@ export default function LuatPlayground({
     }
   }, [activeTab, files]);
 
+  // Props besides the files that the project needs to render the same way
+  // elsewhere: in a permalink, or when the host page opens it again
+  const getProjectModes = () => ({ routes, url: routes ? initialUrl : undefined, kv, fixtures, alpine, htmx });
+
+  // Report edits to the host page (e.g. for persistence)
+  useEffect(() => {
+    if (onChangeRef.current) {
+      onChangeRef.current({
+        files,
+        context: hasContext ? contextText : undefined,
+        entry: entryName,
+        ...getProjectModes(),
+      });
+    }
+  }, [files, contextText, entryName, hasContext]);
+
   // Auto-run on initial load
   useEffect(() => {
     if (luat && autoRun && files.length > 0) {
@@ -275,11 +453,9 @@ export default function LuatPlayground({
         const { oneDark } = await import('@codemirror/theme-one-dark');
         const { EditorState } = await import('@codemirror/state');
 
-        const formattedHtml = formatHtml(output);
-
         const htmlView = new EditorView({
           state: EditorState.create({
-            doc: formattedHtml,
+            doc: rawHtml ? output : formatHtml(output),
             extensions: [
               basicSetup,
               html(),
@@ -299,83 +475,623 @@ export default function LuatPlayground({
 
     initHtmlViewer();
     return () => { if (cleanup) cleanup(); };
-  }, [outputTab, output]);
-
-  // Helper to format time
-  const formatTime = (ms) => {
-    if (ms < 1) {
-      return `${(ms * 1000).toFixed(0)}µs`;
-    }
-    return `${ms.toFixed(2)}ms`;
-  };
+  }, [outputTab, output, rawHtml]);
 
   // Helper to create a hash of files for caching
   const getFilesHash = (files) => {
     return files.map(f => `${f.name}:${f.code}`).join('|');
   };
 
-  const runCode = useCallback(() => {
+  // Files to load into the engine, plus the routes driver and bridge templates when enabled
+  const getEngineFiles = (files) => [
+    ...files,
+    ...(routes ? [ROUTE_DRIVER_FILE] : []),
+    ...(kv ? [KV_BRIDGE_FILE] : []),
+    ...(fixtures ? [HTTP_BRIDGE_FILE] : []),
+  ];
+
+  const httpFixtures = fixtures ? normalizeFixtures(fixtures) : null;
+
+  // Load the files into an engine leased by `session` unless `cacheRef` says
+  // they are already there. Resolves to the compile time in milliseconds, or
+  // null when the cache was used.
+  const compileFiles = async (session, cacheRef, engine, currentFiles) => {
+    // The session generation changes when the engine lost this playground's
+    // templates (handed to another playground, or restarted after a timeout)
+    const currentHash = `${session.generation}|${getFilesHash(currentFiles)}`;
+    if (cacheRef.current === currentHash) return null;
+
+    const compileStart = performance.now();
+    await engine.clearTemplates();
+    for (const file of currentFiles) {
+      await engine.addTemplate(file.name, file.code);
+    }
+    cacheRef.current = currentHash;
+    return performance.now() - compileStart;
+  };
+
+  const ensureCompiled = useCallback(
+    (engine, currentFiles) => compileFiles(luat, lastCompiledRef, engine, currentFiles),
+    [luat],
+  );
+
+  // Render a target in the leased engine, sampling the render time several
+  // times, each sample timing a batch of renders. Every sample starts from the
+  // stored KV keys and a fresh http call log, so a run of single renders writes
+  // the keys once and logs each call once.
+  const renderTarget = async (engine, target, kvSnapshot, sampleCount, batch = 1) => {
+    const samples = [];
+    let result;
+    for (let i = 0; i < sampleCount; i++) {
+      if (kvSnapshot) await loadKv(engine, kvSnapshot);
+      if (httpFixtures) await loadHttp(engine, httpFixtures);
+      result = await engine.renderWithError(target.entry, target.props, { timeout: renderTimeout, repeat: batch });
+      if (!result.success) break;
+      samples.push(result.renderMs);
+    }
+    // A timed out engine was restarted and lost its bridge globals
+    const kvAfter = kvSnapshot && !result.timedOut ? await dumpKv(engine) : null;
+    const httpCalls = httpFixtures && !result.timedOut ? await dumpHttp(engine) : [];
+    return { samples, result, kvAfter, httpCalls };
+  };
+
+  // Add a handled request to the Requests tab
+  const logRequest = useCallback((request, response, route) => {
+    const { source, redirects, delay, ...message } = request;
+    const entry = { id: ++requestIdRef.current, source, route, delay, request: message, response };
+    setRequestLog(log => [entry, ...log].slice(0, MAX_LOGGED_REQUESTS));
+  }, []);
+
+  // Log the http calls of a render and wait out their simulated latency
+  const settleHttpCalls = useCallback(async (calls) => {
+    for (const call of calls) {
+      logRequest({ ...call.request, source: 'http', delay: call.delay }, call.response, null);
+    }
+    const delay = networkDelay(calls);
+    if (delay > 0) await wait(delay);
+    return delay;
+  }, [logRequest]);
+
+  // Run the *.test.lua files and the engine self-tests for the Tests tab
+  const runTests = useCallback(async () => {
+    if (!luat) return;
+
+    const currentFiles = filesRef.current;
+    const testRunId = ++testRunIdRef.current;
+
+    setTestsRunning(true);
+    try {
+      const kvSnapshot = kv ? await kvStoreRef.current.read() : null;
+      const results = await luat.withEngine(async (engine) => {
+        await ensureCompiled(engine, getEngineFiles(currentFiles));
+        // Tests see the stored keys, but what they write is not saved
+        if (kvSnapshot) await loadKv(engine, kvSnapshot);
+        if (httpFixtures) await loadHttp(engine, httpFixtures);
+        const project = await runProjectTests(engine, currentFiles, { timeout: renderTimeout });
+        return { ...project, engine: await engine.runTests() };
+      });
+      if (testRunId !== testRunIdRef.current) return;
+      setTestResults(results);
+    } catch (e) {
+      if (testRunId !== testRunIdRef.current) return;
+      setTestResults({ suites: [], engine: null, error: e.message, timedOut: false });
+    } finally {
+      if (testRunId === testRunIdRef.current) setTestsRunning(false);
+    }
+  }, [luat, renderTimeout, routes, kv, fixtures, ensureCompiled]);
+
+  const runCode = useCallback(async () => {
     if (!luat) return;
 
     // Use ref to always get latest files (avoids stale closure)
     const currentFiles = filesRef.current;
-    const currentHash = getFilesHash(currentFiles);
-    const instanceId = instanceIdRef.current;
+    setLastRunKey(`${getFilesHash(currentFiles)}|${contextTextRef.current}`);
+    const runId = ++runIdRef.current;
+
+    const { value: context, error: contextParseError } = parseContext(contextTextRef.current);
+    if (contextParseError) {
+      setError(`Invalid context JSON: ${contextParseError}`);
+      setTimedOut(false);
+      setOutput('');
+      setRenderTime(null);
+      setNetworkTime(null);
+      return;
+    }
 
+    setRunning(true);
     try {
-      // Recompile if: code changed OR a different playground instance compiled last
-      const codeChanged = lastCompiledRef.current !== currentHash;
-      const differentInstance = lastCompiledInstance !== instanceId;
-      const needsRecompile = codeChanged || differentInstance;
-
-      if (needsRecompile) {
-        const compileStart = performance.now();
-        luat.clearTemplates();
-        for (const file of currentFiles) {
-          luat.addTemplate(file.name, file.code);
+      // Find the chosen entry point, falling back to the first file
+      const entryFile = currentFiles.find(f => f.name === entryNameRef.current) || currentFiles[0];
+      let target = { entry: entryFile.name, props: context };
+
+      // In routes mode the driver template handles a pending form submission or
+      // redirect, or else a GET of the address bar URL
+      let request = null;
+      let resolved = null;
+      if (routes) {
+        request = pendingRequestRef.current
+          || { method: 'GET', url: addressRef.current, headers: {}, source: 'navigate' };
+        pendingRequestRef.current = null;
+        resolved = resolveRequest(currentFiles, request);
+        if (!resolved) {
+          const response = notFoundResponse(request.url);
+          logRequest(request, response, null);
+          setRouteMatch(null);
+          setError(response.body);
+          setTimedOut(false);
+          setDiagnostic(null);
+          setOutput('');
+          setRenderTime(null);
+          setNetworkTime(null);
+          return;
         }
-        const compileMs = performance.now() - compileStart;
-        lastCompiledRef.current = currentHash;
-        lastCompiledInstance = instanceId;
+        lastRequestRef.current = request;
+        setRouteMatch({
+          id: resolved.route.id,
+          file: resolved.kind === 'endpoint' ? resolved.route.endpoint : resolved.route.page,
+          params: resolved.params,
+          url: request.url,
+        });
+        target = { entry: ROUTE_DRIVER_NAME, props: resolved.props };
+      }
+
+      const kvSnapshot = kv ? await kvStoreRef.current.read() : null;
+      lastKvSnapshotRef.current = kvSnapshot;
+
+      // Hold the engine for compile and render so no other playground, and no other
+      // run of this one, swaps its templates in between
+      const { compileMs, samples, result, kvAfter, httpCalls } = await luat.withEngine(async (engine) => {
+        const compileMs = await ensureCompiled(engine, getEngineFiles(currentFiles));
+        // Measure render time inside the worker (multiple samples for accuracy);
+        // actions and handlers run once, as each call may have side effects
+        const sampleCount = resolved && resolved.kind !== 'page' ? 1 : 3;
+        return { compileMs, ...await renderTarget(engine, target, kvSnapshot, sampleCount) };
+      });
+      if (runId !== runIdRef.current) return;
+
+      if (kvAfter) {
+        setKvEntries(await kvStoreRef.current.write(kvAfter));
+      }
+
+      // The output shows up once the simulated http calls have "returned"
+      const delay = await settleHttpCalls(httpCalls);
+      if (runId !== runIdRef.current) return;
+      setNetworkTime(delay > 0 ? `${delay}ms` : null);
+
+      if (compileMs === null) {
+        setCached(true);
+      } else {
         setCached(false);
         setCompileTime(formatTime(compileMs));
-      } else {
-        setCached(true);
       }
 
-      // Find entry point (main.luat or first file)
-      const entryFile = currentFiles.find(f => f.name === 'main.luat') || currentFiles[0];
-
-      // Measure render time (multiple samples for accuracy)
-      const samples = [];
-      let result;
-      for (let i = 0; i < 3; i++) {
-        const renderStart = performance.now();
-        result = luat.renderWithError(entryFile.name, {});
-        samples.push(performance.now() - renderStart);
+      if (result.timedOut) {
+        setRenderTime(null);
+      } else if (samples.length > 0) {
+        // Use the minimum (least affected by GC/browser overhead)
+        setRenderTime(formatTime(Math.min(...samples)));
       }
-      // Use the minimum (least affected by GC/browser overhead)
-      const renderMs = Math.min(...samples);
-      setRenderTime(formatTime(renderMs));
 
+      setTimedOut(!!result.timedOut);
+      let redirect = null;
       if (result.success) {
-        setOutput(result.html);
+        let html = result.html;
+        if (routes) {
+          const response = toResponse(resolved.kind, result.html);
+          logRequest(request, response, resolved.route.id);
+          html = responseToHtml(response);
+          const location = getRedirect(response);
+          const next = location && resolveLocation(location, request.url);
+          const redirects = request.redirects || 0;
+          if (next && redirects < MAX_REDIRECTS) {
+            redirect = { method: 'GET', url: next, headers: {}, source: 'redirect', redirects: redirects + 1 };
+          }
+        }
+        setOutput(html);
         setError(null);
+        setDiagnostic(null);
       } else {
+        if (routes) logRequest(request, errorResponse(result.error), resolved.route.id);
         setError(result.error);
         setOutput('');
+        // Jump to the file the error points at
+        const parsed = parseRenderError(result.error, currentFiles);
+        setDiagnostic(parsed);
+        if (parsed) {
+          const fileIndex = currentFiles.findIndex(f => f.name === parsed.file);
+          if (fileIndex !== -1 && fileIndex !== activeTabRef.current) {
+            setActiveTab(fileIndex);
+          }
+        }
+      }
+
+      // Follow redirects like a browser: show the new location in the address bar and GET it
+      if (redirect) {
+        addressRef.current = redirect.url;
+        setAddressDraft(redirect.url);
+        pendingRequestRef.current = redirect;
+        runCodeRef.current();
+        return;
+      }
+
+      // Keep the Tests tab in sync with the code; runs after the render so the
+      // two never interleave their template loading
+      if (outputTabRef.current === 'tests') {
+        await runTests();
       }
     } catch (e) {
+      if (runId !== runIdRef.current) return;
       setError(e.message);
+      setTimedOut(false);
+      setDiagnostic(null);
       setOutput('');
       setCompileTime(null);
       setRenderTime(null);
+      setNetworkTime(null);
+    } finally {
+      if (runId === runIdRef.current) setRunning(false);
+    }
+  }, [luat, renderTimeout, routes, kv, fixtures, ensureCompiled, runTests, logRequest, settleHttpCalls]);
+  runCodeRef.current = runCode;
+
+  // Output no longer matches the editors once files or context change after a run
+  const runKey = `${getFilesHash(files)}|${contextText}`;
+  const stale = lastRunKey !== null && lastRunKey !== runKey;
+
+  // Live mode: re-render once typing pauses, reusing the compile cache. This
+  // includes the first render when autoRun is off. Edits made during a
+  // benchmark wait for it, rather than queueing a render behind each
+  // keystroke; they render when it finishes.
+  const liveDue = lastRunKey !== runKey;
+  useEffect(() => {
+    if (!live || !luat || !liveDue || benchmarkState.running) return;
+    const timer = setTimeout(() => runCode(), liveDelay);
+    return () => clearTimeout(timer);
+  }, [live, luat, liveDue, benchmarkState.running, files, contextText, liveDelay, runCode]);
+
+  // Diff tab: render the example's original files the way the displayed output
+  // was rendered - the same request and KV keys in routes mode, else the
+  // original entry and context. Nothing this render writes is kept. It runs in
+  // a session of its own, so the original files never replace the compiled
+  // current code and each live run compiles only when the code changed.
+  const renderOriginal = useCallback(async () => {
+    const originalFiles = getInitialFiles();
+    let target;
+    let resolved = null;
+    if (routes) {
+      const request = lastRequestRef.current || { method: 'GET', url: addressRef.current, headers: {} };
+      resolved = resolveRequest(originalFiles, request);
+      if (!resolved) return { html: null, error: notFoundResponse(request.url).body };
+      target = { entry: ROUTE_DRIVER_NAME, props: resolved.props };
+    } else {
+      const { value: context } = parseContext(stringifyContext(initialContext));
+      target = { entry: initialEntry || getDefaultEntry(originalFiles), props: context || {} };
+    }
+
+    // Taken now: a run queued ahead of this render may replace it
+    const kvSnapshot = lastKvSnapshotRef.current;
+    if (!baselineSessionRef.current) {
+      baselineSessionRef.current = createLuatSession();
+      // Try again the next time the baseline is needed
+      baselineSessionRef.current.catch(() => { baselineSessionRef.current = null; });
+    }
+    const baseline = await baselineSessionRef.current;
+    const { result } = await baseline.withEngine(async (engine) => {
+      await compileFiles(baseline, baselineCompiledRef, engine, getEngineFiles(originalFiles));
+      return renderTarget(engine, target, kvSnapshot, 1);
+    });
+    if (!result.success) return { html: null, error: result.error };
+    const html = routes ? responseToHtml(toResponse(resolved.kind, result.html)) : result.html;
+    return { html, error: null };
+  }, [renderTimeout, routes, kv, fixtures, initialContext, initialEntry]);
+
+  // Keep the Diff tab's baseline in step with the displayed output. While a run
+  // is in progress the output is about to change, so the baseline waits for it.
+  useEffect(() => {
+    if (outputTab !== 'diff' || !luat || lastRunKey === null || running) return;
+    // An unedited example is its own baseline
+    if (lastRunKey === `${getFilesHash(getInitialFiles())}|${stringifyContext(initialContext)}`) {
+      setOriginalOutput({ html: output, error: null });
+      return;
     }
-  }, [luat]);
+    let cancelled = false;
+    setOriginalOutput({ html: null, error: null });
+    renderOriginal()
+      .then((original) => {
+        if (!cancelled) setOriginalOutput(original);
+      })
+      .catch((e) => {
+        if (!cancelled) setOriginalOutput({ html: null, error: e.message });
+      });
+    return () => { cancelled = true; };
+  }, [outputTab, output, lastRunKey, routeMatch, luat, running, renderOriginal]);
+
+  // Benchmark tab: the code as it is now, to time or save as a variant
+  const getSnapshot = () => ({
+    files: filesRef.current,
+    context: contextTextRef.current,
+    entry: entryNameRef.current,
+    savedAt: Date.now(),
+  });
+
+  // What a snapshot renders: a GET of the address bar URL in routes mode,
+  // else its entry file with its context
+  const benchmarkTarget = (snapshot) => {
+    if (routes) {
+      const resolved = resolveRequest(snapshot.files, { method: 'GET', url: addressRef.current, headers: {} });
+      if (!resolved) throw new Error(notFoundResponse(addressRef.current).body);
+      return { entry: ROUTE_DRIVER_NAME, props: resolved.props };
+    }
+    const { value: context, error: contextParseError } = parseContext(snapshot.context);
+    if (contextParseError) throw new Error(`Invalid context JSON: ${contextParseError}`);
+    const entryFile = snapshot.files.find(f => f.name === snapshot.entry) || snapshot.files[0];
+    return { entry: entryFile.name, props: context };
+  };
+
+  // Time warmup plus measured samples of each snapshot, one after the other in
+  // a single engine lease. Only the measured samples go into the statistics.
+  const runBenchmark = useCallback(async (options, snapshots) => {
+    const { warmup, iterations } = normalizeOptions(options);
+    const kvSnapshot = kv ? await kvStoreRef.current.read() : null;
+    return luat.withEngine(async (engine) => {
+      const stats = [];
+      for (const snapshot of snapshots) {
+        const target = benchmarkTarget(snapshot);
+        await ensureCompiled(engine, getEngineFiles(snapshot.files));
+        // Grow the batch of renders per sample until it takes long enough to time
+        let batch = 1;
+        for (;;) {
+          const { samples, result } = await renderTarget(engine, target, kvSnapshot, 1, batch);
+          if (!result.success) throw new Error(result.error);
+          const next = nextBatch(batch, samples[0]);
+          if (next === batch) break;
+          batch = next;
+        }
+        const { samples, result } = await renderTarget(engine, target, kvSnapshot, warmup + iterations, batch);
+        if (!result.success) throw new Error(result.error);
+        stats.push({ ...summarize(samples.slice(warmup)), batch });
+      }
+      return stats;
+    });
+  }, [luat, renderTimeout, routes, kv, fixtures, ensureCompiled]);
+
+  const benchmarkCurrent = useCallback(async (options) => {
+    if (!luat) return;
+    setBenchmarkState(state => ({ ...state, running: true, error: null }));
+    try {
+      const [result] = await runBenchmark(options, [getSnapshot()]);
+      setBenchmarkState(state => ({ ...state, running: false, result }));
+    } catch (e) {
+      setBenchmarkState(state => ({ ...state, running: false, error: e.message }));
+    }
+  }, [luat, runBenchmark]);
+
+  const saveBenchmarkVariant = useCallback((slot) => {
+    setBenchmarkState(state => ({
+      ...state,
+      variants: { ...state.variants, [slot]: getSnapshot() },
+      comparison: null,
+    }));
+  }, []);
+
+  const compareBenchmarkVariants = useCallback(async (options) => {
+    const { A, B } = benchmarkState.variants;
+    if (!luat || !A || !B) return;
+    setBenchmarkState(state => ({ ...state, running: true, error: null }));
+    try {
+      const [a, b] = await runBenchmark(options, [A, B]);
+      setBenchmarkState(state => ({ ...state, running: false, comparison: { A: a, B: b } }));
+    } catch (e) {
+      setBenchmarkState(state => ({ ...state, running: false, error: e.message }));
+    }
+  }, [luat, runBenchmark, benchmarkState.variants]);
+
+  // Select the error location in the editor, switching tabs if needed
+  const goToDiagnostic = useCallback(() => {
+    const current = diagnosticRef.current;
+    if (!current) return;
+    const fileIndex = filesRef.current.findIndex(f => f.name === current.file);
+    if (fileIndex === -1) return;
+    if (fileIndex !== activeTabRef.current) {
+      // initEditor re-applies the markers for the new tab
+      setActiveTab(fileIndex);
+      return;
+    }
+    const view = editorViewRef.current;
+    if (!view) return;
+    const [{ from }] = toEditorDiagnostics(current, view.state);
+    view.dispatch({ selection: { anchor: from }, scrollIntoView: true });
+    view.focus();
+  }, []);
+
+  // Request a URL in routes mode
+  const navigate = useCallback((input) => {
+    const next = normalizeUrl(input);
+    // Input that is not a URL stays in the address bar to be corrected
+    if (next === null) return;
+    addressRef.current = next;
+    setAddressDraft(next);
+    runCodeRef.current?.();
+  }, []);
+
+  // Answer a fetch() from the preview in routes mode with the project's form
+  // action or +server.lua handler, following redirects like fetch() does
+  const handleFetch = useCallback(async (request) => {
+    const currentFiles = filesRef.current;
+    const resolved = resolveRequest(currentFiles, request);
+    let response;
+    if (!resolved) {
+      response = notFoundResponse(request.url);
+    } else {
+      try {
+        const kvSnapshot = kv ? await kvStoreRef.current.read() : null;
+        const target = { entry: ROUTE_DRIVER_NAME, props: resolved.props };
+        const { result, kvAfter, httpCalls } = await luat.withEngine(async (engine) => {
+          await ensureCompiled(engine, getEngineFiles(currentFiles));
+          return renderTarget(engine, target, kvSnapshot, 1);
+        });
+        if (kvAfter) setKvEntries(await kvStoreRef.current.write(kvAfter));
+        await settleHttpCalls(httpCalls);
+        response = result.success ? toResponse(resolved.kind, result.html) : errorResponse(result.error);
+      } catch (e) {
+        response = errorResponse(e.message);
+      }
+    }
+    logRequest(request, response, resolved ? resolved.route.id : null);
+
+    const location = getRedirect(response);
+    const next = location && resolveLocation(location, request.url);
+    const redirects = request.redirects || 0;
+    if (next && redirects < MAX_REDIRECTS) {
+      return handleFetch({ method: 'GET', url: next, headers: {}, source: 'redirect', redirects: redirects + 1 });
+    }
+    return { ...response, url: request.url };
+  }, [luat, renderTimeout, routes, kv, fixtures, ensureCompiled, logRequest, settleHttpCalls]);
+
+  // Messages from the preview in routes mode: clicked links, submitted forms,
+  // fetch() and XMLHttpRequest calls and history updates by htmx
+  useEffect(() => {
+    if (!routes) return;
+    const handleMessage = (event) => {
+      if (event.source !== iframeRef.current?.contentWindow) return;
+      const { type, href, id, request } = event.data || {};
+      if (type === 'luat-navigate') {
+        navigate(href);
+      } else if (type === 'luat-request') {
+        pendingRequestRef.current = { ...request, source: 'form' };
+        runCodeRef.current?.();
+      } else if (type === 'luat-address') {
+        addressRef.current = href;
+        setAddressDraft(href);
+      } else if (type === 'luat-fetch') {
+        handleFetch({ source: 'fetch', ...request }).then((response) => {
+          event.source.postMessage({ type: 'luat-response', id, response }, '*');
+        });
+      }
+    };
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, [routes, navigate, handleFetch]);
+
+  // KV tab actions; the next run picks up the changed store
+  const deleteKvEntry = useCallback(async (entry) => {
+    const store = kvStoreRef.current;
+    const entries = await store.read();
+    setKvEntries(await store.write(
+      entries.filter(e => e.namespace !== entry.namespace || e.key !== entry.key)
+    ));
+  }, []);
+
+  const clearKv = useCallback(async () => {
+    if (kvStoreRef.current) setKvEntries(await kvStoreRef.current.write([]));
+  }, []);
+
+  // Open a file by name, e.g. from the test report
+  const selectFile = useCallback((name) => {
+    const fileIndex = filesRef.current.findIndex(f => f.name === name);
+    if (fileIndex !== -1) setActiveTab(fileIndex);
+  }, []);
+
+  // Copy a /playground permalink for the current files (context and modes) to the clipboard
+  const share = useCallback(async () => {
+    const url = getShareUrl({
+      files: filesRef.current,
+      context: hasContext ? contextTextRef.current : undefined,
+      entry: entryNameRef.current,
+      ...getProjectModes(),
+      // The page the preview shows
+      ...(routes && { url: addressRef.current }),
+    });
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareStatus('copied');
+      setTimeout(() => setShareStatus(null), 2000);
+    } catch (e) {
+      // Clipboard access can be denied; open the link so it can be copied from the address bar
+      window.open(url, '_blank', 'noopener');
+    }
+  }, [hasContext, routes, initialUrl, kv, fixtures, alpine, htmx]);
+
+  // Save the files as a zipped luat project that `luat dev` can serve
+  const downloadProject = useCallback(async () => {
+    const { value: context } = parseContext(contextTextRef.current);
+    try {
+      const zip = await buildProjectZip({
+        files: filesRef.current,
+        context: context || {},
+        entry: entryNameRef.current,
+        routes,
+        alpine,
+        htmx,
+      });
+      const url = URL.createObjectURL(new Blob([zip], { type: 'application/zip' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${PROJECT_NAME}.zip`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (e) {
+      console.error('Failed to export project:', e);
+    }
+  }, [routes, alpine, htmx]);
+
+  const addFile = useCallback(() => {
+    const name = nextUntitledName(filesRef.current);
+    const index = filesRef.current.length;
+    setFiles(prev => [...prev, { name, code: '' }]);
+    setActiveTab(index);
+    return { index, name };
+  }, []);
+
+  const renameFile = useCallback((index, name) => {
+    const oldName = filesRef.current[index].name;
+    setFiles(prev => prev.map((f, i) => (i === index ? { ...f, name } : f)));
+    if (entryNameRef.current === oldName) {
+      setEntryName(name);
+    }
+  }, []);
+
+  const deleteFile = useCallback((index) => {
+    const currentFiles = filesRef.current;
+    const file = currentFiles[index];
+    if (currentFiles.length <= 1 || !window.confirm(`Delete ${file.name}?`)) return;
+
+    const remaining = currentFiles.filter((_, i) => i !== index);
+    setFiles(remaining);
+    if (entryNameRef.current === file.name) {
+      setEntryName(getDefaultEntry(remaining));
+    }
+    const currentTab = activeTabRef.current;
+    if (currentTab > index || currentTab === remaining.length) {
+      setActiveTab(currentTab - 1);
+    }
+  }, []);
+
+  // Drag the divider between editor and output (resizable mode)
+  const startResize = useCallback((e) => {
+    e.preventDefault();
+    const container = playgroundRef.current;
+    if (!container) return;
+    setDragging(true);
+
+    const handleMove = (moveEvent) => {
+      const rect = container.getBoundingClientRect();
+      const percent = ((moveEvent.clientX - rect.left) / rect.width) * 100;
+      setSplit(Math.min(80, Math.max(20, percent)));
+    };
+    const handleUp = () => {
+      setDragging(false);
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+  }, []);
 
   const reset = useCallback(() => {
     const initial = getInitialFiles();
     setFiles(initial);
+    setEntryName(initialEntry || getDefaultEntry(initial));
     setActiveTab(0);
     if (editorViewRef.current && initial[0]) {
       editorViewRef.current.dispatch({
@@ -386,21 +1102,47 @@ export default function LuatPlayground({
         },
       });
     }
+    const initialContextText = stringifyContext(initialContext);
+    setContextText(initialContextText);
+    setContextError(parseContext(initialContextText).error);
+    if (contextEditorViewRef.current) {
+      contextEditorViewRef.current.dispatch({
+        changes: {
+          from: 0,
+          to: contextEditorViewRef.current.state.doc.length,
+          insert: initialContextText,
+        },
+      });
+    }
+    runIdRef.current++;
+    testRunIdRef.current++;
+    setRunning(false);
+    setTestsRunning(false);
+    setTestResults(null);
+    setLastRunKey(null);
     setError(null);
+    setTimedOut(false);
+    setDiagnostic(null);
     setOutput('');
     setCompileTime(null);
     setRenderTime(null);
+    setNetworkTime(null);
     setCached(false);
+    const initialAddress = normalizeUrl(initialUrl) || '/';
+    addressRef.current = initialAddress;
+    setAddressDraft(initialAddress);
+    setRouteMatch(null);
+    setRequestLog([]);
+    pendingRequestRef.current = null;
+    clearKv();
     lastCompiledRef.current = null;
-    // Clear global instance tracker so next run will recompile
-    if (lastCompiledInstance === instanceIdRef.current) {
-      lastCompiledInstance = null;
-    }
-  }, [initialCode, initialFiles]);
+  }, [initialCode, initialFiles, initialContext, initialEntry, initialUrl, clearKv]);
 
-  // Generate iframe content with Tailwind and optional libraries
-  const alpineScript = alpine ? '<script defer src="https://cdn.jsdelivr.net/npm/alpinejs@3.x.x/dist/cdn.min.js"></script>' : '';
-  const htmxScript = htmx ? '<script src="https://unpkg.com/htmx.org@1.9.10"></script>' : '';
+  // Generate iframe content with Tailwind and optional libraries, all self-hosted
+  const alpineScript = alpine ? `<script defer src="${PREVIEW_RUNTIMES.alpine}"></script>` : '';
+  const htmxScript = htmx ? `<script src="${PREVIEW_RUNTIMES.htmx}"></script>` : '';
+  // Routes mode: hand the preview's links, forms and requests to the playground
+  const routesScript = routes ? routesPreviewScript(routeMatch?.url || addressDraft) : '';
 
   const iframeSrc = `
 <!DOCTYPE html>
@@ -408,7 +1150,7 @@ export default function LuatPlayground({
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <script src="https://cdn.tailwindcss.com"></script>
+  <script src="${PREVIEW_RUNTIMES.tailwind}"></script>
   <script>
     tailwind.config = {
       darkMode: 'class',
@@ -416,6 +1158,7 @@ export default function LuatPlayground({
   </script>
   ${alpineScript}
   ${htmxScript}
+  ${routesScript}
   <style>
     body {
       font-family: system-ui, -apple-system, sans-serif;
@@ -431,9 +1174,15 @@ export default function LuatPlayground({
 </html>`;
 
   const hasMultipleFiles = files.length > 1;
+  const engineOutdated = Boolean(luat && minVersion && compareVersions(luat.version, minVersion) < 0);
+  const showTestsTab = manageFiles || files.some(f => isTestFile(f.name));
 
   return (
-    <div className={styles.playground}>
+    <div
+      ref={playgroundRef}
+      className={`${styles.playground} ${resizable ? styles.playgroundResizable : ''} ${dragging ? styles.dragging : ''}`}
+      style={resizable ? { '--editor-width': `${split}%` } : undefined}
+    >
       {/* Editor Section */}
       <div className={styles.editorSection}>
         <div className={styles.header}>
@@ -442,35 +1191,68 @@ export default function LuatPlayground({
             <span className={styles.control}></span>
             <span className={styles.control}></span>
           </div>
-          {hasMultipleFiles ? (
-            <div className={styles.tabs}>
-              {files.map((file, index) => (
-                <button
-                  key={file.name}
-                  className={`${styles.tab} ${index === activeTab ? styles.tabActive : ''}`}
-                  onClick={() => setActiveTab(index)}
-                >
-                  {file.name}
-                </button>
-              ))}
-            </div>
+          {hasMultipleFiles || manageFiles ? (
+            <FileTabs
+              files={files}
+              activeTab={activeTab}
+              entryName={routes ? null : entryName}
+              manageFiles={manageFiles}
+              onSelect={setActiveTab}
+              onAdd={addFile}
+              onRename={renameFile}
+              onDelete={deleteFile}
+            />
           ) : (
             <span className={styles.title}>{files[0]?.name || 'main.luat'}</span>
           )}
           <div className={styles.actions}>
+            {luat && (
+              <span
+                className={`${styles.versionBadge} ${engineOutdated ? styles.versionOutdated : ''}`}
+                title={`Luat engine ${luat.version}\nExports: ${luat.capabilities.join(', ')}`}
+              >
+                v{luat.version}
+              </span>
+            )}
+            {manageFiles && !routes && (
+              <select
+                className={styles.entrySelect}
+                value={entryName}
+                onChange={(e) => setEntryName(e.target.value)}
+                title="Entry file"
+              >
+                {files.filter(f => f.name.endsWith('.luat')).map(f => (
+                  <option key={f.name} value={f.name}>{f.name}</option>
+                ))}
+              </select>
+            )}
             <button
               className={styles.button}
               onClick={runCode}
               disabled={loading || !luat}
-              title="Run (Ctrl+Enter)"
+              title="Run (Ctrl/Cmd+Enter)"
             >
-              {loading ? (
+              {loading || running ? (
                 <Loader2 size={14} className={styles.spinning} />
               ) : (
                 <Play size={14} />
               )}
               <span>Run</span>
             </button>
+            <button
+              className={styles.buttonSecondary}
+              onClick={share}
+              title={shareStatus === 'copied' ? 'Link copied!' : 'Copy shareable link'}
+            >
+              {shareStatus === 'copied' ? <Check size={14} /> : <Share2 size={14} />}
+            </button>
+            <button
+              className={styles.buttonSecondary}
+              onClick={downloadProject}
+              title="Download as a luat project"
+            >
+              <Download size={14} />
+            </button>
             <button
               className={styles.buttonSecondary}
               onClick={reset}
@@ -480,13 +1262,50 @@ export default function LuatPlayground({
             </button>
           </div>
         </div>
+        {engineOutdated && (
+          <div className={styles.versionWarning}>
+            <TriangleAlert size={14} />
+            <span>
+              This example needs Luat {minVersion} or newer, but the bundled engine is {luat.version}.
+              Errors below may come from an outdated <code>static/wasm</code> build rather than the example.
+            </span>
+          </div>
+        )}
         <div
           ref={editorRef}
           className={styles.editor}
           style={{ height }}
         />
+        {hasContext && (
+          <>
+            <div className={styles.contextHeader}>
+              <span className={styles.title}>Context (JSON)</span>
+            </div>
+            <div
+              ref={contextEditorRef}
+              className={styles.editor}
+              style={{ height: contextHeight }}
+            />
+            {contextError && (
+              <div className={styles.contextError}>
+                <AlertCircle size={12} />
+                <span>{contextError}</span>
+              </div>
+            )}
+          </>
+        )}
       </div>
 
+      {resizable && (
+        <div
+          className={styles.splitHandle}
+          onPointerDown={startResize}
+          role="separator"
+          aria-orientation="vertical"
+          title="Drag to resize"
+        />
+      )}
+
       {/* Output Section */}
       <div className={styles.outputSection}>
         <div className={styles.outputHeader}>
@@ -505,11 +1324,76 @@ export default function LuatPlayground({
               <Code size={14} />
               <span>HTML</span>
             </button>
+            {outputTab === 'html' && (
+              <button
+                className={`${styles.rawToggle} ${rawHtml ? styles.rawToggleActive : ''}`}
+                onClick={() => setRawHtml(!rawHtml)}
+                aria-pressed={rawHtml}
+                title={rawHtml ? 'Showing the HTML exactly as rendered' : 'Show the HTML exactly as rendered, unformatted'}
+              >
+                raw
+              </button>
+            )}
+            <button
+              className={`${styles.outputTab} ${outputTab === 'diff' ? styles.outputTabActive : ''}`}
+              onClick={() => setOutputTab('diff')}
+              title="Compare with the output of the original example"
+            >
+              <GitCompare size={14} />
+              <span>Diff</span>
+            </button>
+            {showTestsTab && (
+              <button
+                className={`${styles.outputTab} ${outputTab === 'tests' ? styles.outputTabActive : ''}`}
+                onClick={() => {
+                  setOutputTab('tests');
+                  runTests();
+                }}
+              >
+                {testsRunning ? <Loader2 size={14} className={styles.spinning} /> : <FlaskConical size={14} />}
+                <span>Tests</span>
+              </button>
+            )}
+            {(routes || fixtures) && (
+              <button
+                className={`${styles.outputTab} ${outputTab === 'requests' ? styles.outputTabActive : ''}`}
+                onClick={() => setOutputTab('requests')}
+              >
+                <ArrowLeftRight size={14} />
+                <span>Requests{requestLog.length ? ` (${requestLog.length})` : ''}</span>
+              </button>
+            )}
+            {kv && (
+              <button
+                className={`${styles.outputTab} ${outputTab === 'kv' ? styles.outputTabActive : ''}`}
+                onClick={() => setOutputTab('kv')}
+              >
+                <Database size={14} />
+                <span>KV{kvEntries?.length ? ` (${kvEntries.length})` : ''}</span>
+              </button>
+            )}
+            {benchmark && (
+              <button
+                className={`${styles.outputTab} ${outputTab === 'benchmark' ? styles.outputTabActive : ''}`}
+                onClick={() => setOutputTab('benchmark')}
+              >
+                {benchmarkState.running ? <Loader2 size={14} className={styles.spinning} /> : <Gauge size={14} />}
+                <span>Benchmark</span>
+              </button>
+            )}
           </div>
+          {stale && (
+            <span
+              className={styles.staleBadge}
+              title={live ? 'Re-rendering when you stop typing' : 'Edits not rendered yet - press Ctrl/Cmd+Enter to run'}
+            >
+              stale
+            </span>
+          )}
           {(compileTime || renderTime) && (
             <div
               className={styles.execTime}
-              title={`${cached ? 'Compiled (cached)' : `Compile: ${compileTime}`} | Render: ${renderTime}`}
+              title={`${cached ? 'Compiled (cached)' : `Compile: ${compileTime}`} | Render: ${renderTime}${networkTime ? ` | Simulated network: ${networkTime}` : ''}`}
             >
               <Zap size={12} />
               {compileTime && (
@@ -519,18 +1403,107 @@ export default function LuatPlayground({
               )}
               {compileTime && renderTime && <span className={styles.timeSeparator}>|</span>}
               {renderTime && <span className={styles.renderInfo}>{renderTime}</span>}
+              {networkTime && (
+                <>
+                  <span className={styles.timeSeparator}>|</span>
+                  <span className={styles.compileInfo}>network: {networkTime}</span>
+                </>
+              )}
             </div>
           )}
         </div>
+        {routes && (
+          <form
+            className={styles.addressBar}
+            onSubmit={(e) => {
+              e.preventDefault();
+              navigate(addressDraft);
+            }}
+          >
+            <Globe size={14} />
+            <input
+              className={styles.addressInput}
+              value={addressDraft}
+              onChange={(e) => setAddressDraft(e.target.value)}
+              spellCheck={false}
+              aria-label="URL"
+            />
+            {routeMatch && (
+              <span className={styles.routeInfo} title={routeMatch.file}>
+                {routeMatch.id}
+                {Object.keys(routeMatch.params).length > 0 && ` ${JSON.stringify(routeMatch.params)}`}
+              </span>
+            )}
+            <button type="submit" className={styles.buttonSecondary} disabled={loading || !luat}>
+              Go
+            </button>
+          </form>
+        )}
         <div className={styles.output} style={{ height }}>
-          {error ? (
+          {outputTab === 'tests' ? (
+            <TestResults
+              results={testResults}
+              running={testsRunning || loading}
+              onSelectFile={selectFile}
+            />
+          ) : outputTab === 'requests' ? (
+            <RequestLog entries={requestLog} onClear={() => setRequestLog([])} />
+          ) : outputTab === 'kv' ? (
+            <KvInspector
+              entries={kvEntries}
+              persistent={kvStoreRef.current?.persistent}
+              storeName={kv}
+              onDelete={deleteKvEntry}
+              onClear={clearKv}
+            />
+          ) : outputTab === 'benchmark' ? (
+            <BenchmarkPanel
+              state={benchmarkState}
+              onRun={benchmarkCurrent}
+              onSaveVariant={saveBenchmarkVariant}
+              onCompare={compareBenchmarkVariants}
+            />
+          ) : error ? (
             <div className={styles.error}>
-              <AlertCircle size={16} />
-              <pre>{error}</pre>
+              {timedOut ? <TimerOff size={16} /> : <AlertCircle size={16} />}
+              <div>
+                {timedOut && (
+                  <div className={styles.errorTitle}>Render timed out</div>
+                )}
+                {diagnostic && (
+                  <button
+                    className={styles.errorLocation}
+                    onClick={goToDiagnostic}
+                    title="Show in editor"
+                  >
+                    {formatLocation(diagnostic)}
+                  </button>
+                )}
+                <pre>{timedOut
+                  ? `${error}. The engine was restarted - check the template for infinite loops.`
+                  : error}</pre>
+              </div>
             </div>
-          ) : outputTab === 'preview' ? (
+          ) : outputTab === 'diff' ? (
             output ? (
+              <DiffView
+                original={originalOutput.html === null ? null : formatHtml(originalOutput.html)}
+                current={formatHtml(output)}
+                error={originalOutput.error}
+              />
+            ) : (
+              <div className={styles.placeholder}>
+                {loading ? 'Loading Luat...' : 'Click "Run" to compare the output with the original example'}
+              </div>
+            )
+          ) : outputTab === 'preview' ? (
+            // The server-rendered page has the output as markup, for readers and
+            // crawlers without JavaScript; the browser shows it in the iframe
+            output && !isBrowser ? (
+              <div className={styles.prerendered} dangerouslySetInnerHTML={{ __html: staticMarkup(output) }} />
+            ) : output ? (
               <iframe
+                ref={iframeRef}
                 srcDoc={iframeSrc}
                 sandbox="allow-scripts allow-same-origin allow-forms"
                 className={styles.iframe}
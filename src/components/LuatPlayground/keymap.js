@@ -0,0 +1,18 @@
+import { Prec } from '@codemirror/state';
+import { keymap } from '@codemirror/view';
+
+/**
+ * Ctrl/Cmd+Enter runs the playground. Registered with the highest precedence
+ * so it wins over basicSetup's Mod-Enter (insert blank line) binding.
+ */
+export function runKeymap(run) {
+  return Prec.highest(keymap.of([
+    {
+      key: 'Mod-Enter',
+      run: () => {
+        run();
+        return true;
+      },
+    },
+  ]));
+}
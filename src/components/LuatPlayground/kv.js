@@ -0,0 +1,234 @@
+// KV store stand-in for playground examples (the playground's "kv" option).
+//
+// The bundled WASM build has no KV binding, so a Lua implementation of the
+// documented API (KV.namespace, get, getWithMetadata, put, delete, list) is
+// loaded as a bridge template. The entries live in JavaScript - in memory or
+// in IndexedDB - and are handed to the bridge before every render; afterwards
+// the bridge dumps the store so the changes can be saved and inspected.
+
+import { bridgeFile, definedFields, callBridge, parseList } from './bridge';
+
+export const KV_BRIDGE_NAME = '__luat_kv__.luat';
+
+const DB_NAME = 'luat-playground-kv';
+const DB_STORE = 'stores';
+
+export const KV_BRIDGE_SOURCE = `<script>
+local out = ""
+
+local function expired(entry)
+  return entry.expiration ~= nil and entry.expiration <= os.time()
+end
+
+-- Entry of a key, dropping it once its expiration has passed
+local function lookup(entries, key)
+  local entry = entries[key]
+  if entry and expired(entry) then
+    entries[key] = nil
+    return nil
+  end
+  return entry
+end
+
+local function decode(value, kind)
+  if kind == "json" then return json.decode(value) end
+  return value
+end
+
+local Namespace = {}
+Namespace.__index = Namespace
+
+function Namespace:get(key, kind)
+  local entry = lookup(self.entries, key)
+  if not entry then return nil end
+  return decode(entry.value, kind)
+end
+
+function Namespace:getWithMetadata(key, kind)
+  local entry = lookup(self.entries, key)
+  if not entry then return nil, nil end
+  return decode(entry.value, kind), { expiration = entry.expiration, metadata = entry.metadata }
+end
+
+function Namespace:put(key, value, options)
+  if type(key) ~= "string" or key == "" then
+    error("KV put: key must be a non-empty string", 2)
+  end
+  options = options or {}
+  if type(value) == "table" then
+    value = json.encode(value)
+  else
+    value = tostring(value)
+  end
+  local expiration = options.expiration
+  if options.expirationTtl then
+    expiration = os.time() + options.expirationTtl
+  end
+  self.entries[key] = { value = value, expiration = expiration, metadata = options.metadata }
+end
+
+function Namespace:delete(key)
+  self.entries[key] = nil
+end
+
+function Namespace:list(options)
+  options = options or {}
+  local prefix = options.prefix or ""
+  local limit = options.limit or 1000
+  local names = {}
+  for key, entry in pairs(self.entries) do
+    if key:sub(1, #prefix) == prefix
+      and (options.cursor == nil or key > options.cursor)
+      and not expired(entry) then
+      names[#names + 1] = key
+    end
+  end
+  table.sort(names)
+
+  local keys = {}
+  for i = 1, math.min(limit, #names) do
+    local entry = self.entries[names[i]]
+    keys[i] = { name = names[i], expiration = entry.expiration, metadata = entry.metadata }
+  end
+  local complete = #names <= limit
+  -- The cursor is the last key returned; the next page starts after it
+  return { keys = keys, list_complete = complete, cursor = (not complete) and names[limit] or nil }
+end
+
+if props.action == "load" then
+  local store = {}
+  for _, entry in ipairs(props.entries or {}) do
+    store[entry.namespace] = store[entry.namespace] or {}
+    store[entry.namespace][entry.key] = {
+      value = entry.value,
+      expiration = entry.expiration,
+      metadata = entry.metadata,
+    }
+  end
+  __luat_kv_store = store
+  KV = {
+    namespace = function(name)
+      store[name] = store[name] or {}
+      return setmetatable({ entries = store[name] }, Namespace)
+    end,
+  }
+elseif props.action == "dump" then
+  local entries = {}
+  for namespace, keys in pairs(__luat_kv_store or {}) do
+    for key, entry in pairs(keys) do
+      if not expired(entry) then
+        entries[#entries + 1] = {
+          namespace = namespace,
+          key = key,
+          value = entry.value,
+          expiration = entry.expiration,
+          metadata = entry.metadata,
+        }
+      end
+    end
+  end
+  out = json.encode(entries)
+end
+</script>{@html out}`;
+
+export const KV_BRIDGE_FILE = bridgeFile(KV_BRIDGE_NAME, KV_BRIDGE_SOURCE);
+
+/**
+ * Drop expired entries and order the rest by namespace and key.
+ * Entries are {namespace, key, value, expiration?, metadata?}, with
+ * expiration in Unix seconds.
+ */
+export function pruneEntries(entries, now = Date.now() / 1000) {
+  return entries
+    .filter(entry => entry.expiration == null || entry.expiration > now)
+    .sort((a, b) => a.namespace.localeCompare(b.namespace) || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+}
+
+// An entry as bridge props
+function toProps({ namespace, key, value, expiration, metadata }) {
+  return definedFields({ namespace, key, value, expiration, metadata });
+}
+
+/**
+ * Install a fresh KV global holding `entries` in the leased engine
+ */
+export async function loadKv(engine, entries) {
+  await callBridge(engine, KV_BRIDGE_NAME, { action: 'load', entries: entries.map(toProps) }, 'KV store');
+}
+
+/**
+ * Read back the entries of the KV global after a render
+ */
+export async function dumpKv(engine) {
+  return pruneEntries(parseList(await callBridge(engine, KV_BRIDGE_NAME, { action: 'dump' }, 'KV store')));
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function idbRequest(mode, makeRequest) {
+  return openDatabase().then(db => new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(DB_STORE, mode).objectStore(DB_STORE));
+    request.onsuccess = () => {
+      db.close();
+      resolve(request.result);
+    };
+    request.onerror = () => {
+      db.close();
+      reject(request.error);
+    };
+  }));
+}
+
+/**
+ * Create the entry storage for one playground. With a name the entries are
+ * kept in IndexedDB under that name and survive reloads; without one (or when
+ * IndexedDB is unavailable) they only live in memory.
+ *
+ * Returns {persistent, read(), write(entries)}; both methods return promises.
+ */
+export function createKvStore(name) {
+  let memory = [];
+  let persistent = typeof name === 'string' && typeof indexedDB !== 'undefined';
+
+  const fallBack = (e) => {
+    console.warn('KV store: IndexedDB unavailable, keeping entries in memory:', e);
+    persistent = false;
+  };
+
+  return {
+    get persistent() {
+      return persistent;
+    },
+
+    async read() {
+      if (persistent) {
+        try {
+          memory = (await idbRequest('readonly', store => store.get(name))) || [];
+        } catch (e) {
+          fallBack(e);
+        }
+      }
+      memory = pruneEntries(memory);
+      return memory;
+    },
+
+    async write(entries) {
+      memory = pruneEntries(entries);
+      if (persistent) {
+        try {
+          await idbRequest('readwrite', store => store.put(memory, name));
+        } catch (e) {
+          fallBack(e);
+        }
+      }
+      return memory;
+    },
+  };
+}
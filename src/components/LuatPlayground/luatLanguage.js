@@ -0,0 +1,184 @@
+import { LanguageSupport, StreamLanguage, foldService } from '@codemirror/language';
+import { htmlLanguage, htmlCompletionSource, autoCloseTags } from '@codemirror/lang-html';
+import { lua as luaMode } from '@codemirror/legacy-modes/mode/lua';
+import { parseMixed } from '@lezer/common';
+
+// CodeMirror language support for .luat templates: HTML with Lua inside
+// <script> blocks and {expression} / {#block} tags.
+
+const luaLanguage = StreamLanguage.define(luaMode);
+const luaNormalTokenizer = luaMode.startState(2).cur;
+
+const BLOCK_NAMES = 'if|each|await|key|snippet';
+
+/**
+ * Stream parser for the contents of {...} tags. Block directives get their own
+ * tokens; everything else is handed to the Lua tokenizer until the closing brace.
+ */
+const expressionMode = {
+  name: 'luat-expression',
+
+  startState() {
+    return { inExpr: false, atStart: false, depth: 0, directive: null, lua: luaMode.startState(2) };
+  },
+
+  copyState(state) {
+    return { ...state, lua: { ...state.lua } };
+  },
+
+  token(stream, state) {
+    if (!state.inExpr) {
+      if (stream.eat('{')) {
+        state.inExpr = true;
+        state.atStart = true;
+        state.depth = 0;
+        state.directive = null;
+        state.lua = luaMode.startState(2);
+        return 'brace';
+      }
+      stream.next();
+      return null;
+    }
+
+    if (stream.eatSpace()) return null;
+
+    if (state.atStart) {
+      state.atStart = false;
+      const block = stream.match(new RegExp(`^[#/](${BLOCK_NAMES})\\b`));
+      if (block) {
+        state.directive = block[1];
+        return 'controlKeyword';
+      }
+      if (stream.match(/^:(else\s+if|else|then|catch)\b/)) return 'controlKeyword';
+      if (stream.match(/^@(html|render|local|const|debug)\b/)) return 'keyword';
+      if (stream.match('...')) return 'operator';
+    }
+
+    // Only treat braces and "as" specially outside of Lua strings and comments
+    if (state.lua.cur === luaNormalTokenizer) {
+      if (stream.eat('{')) {
+        state.depth++;
+        return 'brace';
+      }
+      if (stream.eat('}')) {
+        if (state.depth === 0) {
+          state.inExpr = false;
+        } else {
+          state.depth--;
+        }
+        return 'brace';
+      }
+      if (state.directive === 'each' && stream.match(/^as\b/)) return 'controlKeyword';
+    }
+
+    return luaMode.token(stream, state.lua);
+  },
+};
+
+const expressionParser = StreamLanguage.define(expressionMode).parser;
+
+/**
+ * Find the {...} ranges in a piece of template text, skipping quoted strings
+ * inside expressions so that "}" in a Lua string does not end the tag.
+ */
+function findExpressions(text, offset) {
+  const ranges = [];
+  let i = 0;
+  while (i < text.length) {
+    if (text[i] !== '{') {
+      i++;
+      continue;
+    }
+    const from = i;
+    let depth = 0;
+    let quote = null;
+    for (; i < text.length; i++) {
+      const ch = text[i];
+      if (quote) {
+        if (ch === '\\') i++;
+        else if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '{') {
+        depth++;
+      } else if (ch === '}' && --depth === 0) {
+        break;
+      }
+    }
+    i = Math.min(i + 1, text.length);
+    // StreamLanguage loses track of overlay ranges that end exactly at a line
+    // break, so let the range swallow the newline
+    if (text[i] === '\n') i++;
+    ranges.push({ from: offset + from, to: offset + i });
+  }
+  return ranges;
+}
+
+const luatNesting = parseMixed((node, input) => {
+  switch (node.name) {
+    case 'ScriptText':
+      return { parser: luaLanguage.parser };
+    case 'Text':
+    case 'OpenTag':
+    case 'SelfClosingTag': {
+      const text = input.read(node.from, node.to);
+      if (!text.includes('{')) return null;
+      const overlay = findExpressions(text, node.from);
+      return overlay.length ? { parser: expressionParser, overlay } : null;
+    }
+    default:
+      return null;
+  }
+});
+
+/**
+ * Fold from a {#block ...} opener to its matching {/block} closer
+ */
+const blockFolding = foldService.of((state, lineStart, lineEnd) => {
+  const line = state.doc.sliceString(lineStart, lineEnd);
+  const open = new RegExp(`\\{#(${BLOCK_NAMES})\\b[^}]*\\}`).exec(line);
+  if (!open) return null;
+
+  const name = open[1];
+  const from = lineStart + open.index + open[0].length;
+  const rest = state.doc.sliceString(from, Math.min(state.doc.length, from + 50000));
+  const tags = new RegExp(`\\{([#/])${name}\\b`, 'g');
+  let depth = 1;
+  let match;
+  while ((match = tags.exec(rest))) {
+    depth += match[1] === '#' ? 1 : -1;
+    if (depth === 0) {
+      const to = from + match.index;
+      // Nothing to fold when the block closes on the same line
+      return to > lineEnd ? { from, to } : null;
+    }
+  }
+  return null;
+});
+
+export const luatLanguage = htmlLanguage.configure({ wrap: luatNesting }, 'luat');
+
+/**
+ * Language support for .luat files
+ */
+export function luat() {
+  return new LanguageSupport(luatLanguage, [
+    htmlLanguage.data.of({ autocomplete: htmlCompletionSource }),
+    autoCloseTags,
+    blockFolding,
+  ]);
+}
+
+/**
+ * Language support for plain .lua modules
+ */
+export function lua() {
+  return new LanguageSupport(luaLanguage);
+}
+
+/**
+ * Pick the editor language for a playground file name
+ */
+export function languageForFile(name) {
+  return name.endsWith('.lua') ? lua() : luat();
+}
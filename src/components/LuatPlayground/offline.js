@@ -0,0 +1,30 @@
+// Self-hosted preview runtimes and the service worker that caches them, so that
+// previews never depend on a CDN and the playground keeps working offline.
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+// The Tailwind release the examples are written against; downloaded projects
+// ask the frontend toolchain for the same one
+export const TAILWIND_VERSION = '3.4.10';
+
+// Served from static/vendor; bump the file names (and static/sw.js) when upgrading
+export const PREVIEW_RUNTIMES = {
+  // The Tailwind v3 Play CDN build
+  tailwind: `/vendor/tailwindcss-play-${TAILWIND_VERSION}.js`,
+  alpine: '/vendor/alpinejs-3.17.4.min.js',
+  htmx: '/vendor/htmx-1.9.12.min.js',
+};
+
+let registration = null;
+
+/**
+ * Register the offline service worker once per page load.
+ * Skipped in development, where a cache would hide edits to static files.
+ */
+export function registerOfflineCache() {
+  if (registration || process.env.NODE_ENV !== 'production') return;
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+  registration = navigator.serviceWorker.register(SERVICE_WORKER_URL).catch((e) => {
+    console.warn('Offline cache unavailable:', e);
+  });
+}
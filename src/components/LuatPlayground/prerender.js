@@ -0,0 +1,121 @@
+// Build-time output of the playground examples (see plugins/playground-examples).
+//
+// The plugin renders every example in the docs and the blog, keyed by a hash
+// of everything the first render depends on, and its remark plugin passes each
+// example's HTML as the `prerendered` prop. The playground starts out showing
+// that output, so the page has it before any JavaScript runs.
+
+import { tokenizeHtml, VOID_ELEMENTS } from './format';
+
+// Elements left out when the output is placed in the docs page itself, where
+// they would run, restyle the page or change its links
+const DROPPED_ELEMENTS = new Set(['script', 'style', 'title', 'iframe', 'object', 'template']);
+const DROPPED_VOID_ELEMENTS = new Set(['base', 'embed', 'link', 'meta']);
+const ATTRIBUTE_NAME = /^[A-Za-z_:@][-A-Za-z0-9_:.@]*$/;
+// Attributes holding a URL, and the schemes they may use; relative URLs are fine
+const URL_ATTRIBUTES = new Set(['action', 'background', 'cite', 'formaction', 'href', 'poster', 'src', 'xlink:href']);
+const SAFE_SCHEMES = new Set(['http', 'https', 'mailto']);
+const NAMED_ENTITIES = { colon: ':', tab: '\t', newline: '\n', amp: '&', quot: '"', apos: "'", lt: '<', gt: '>' };
+
+// 53-bit string hash (cyrb53), as a base 36 string
+function hash(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const c = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ c, 2654435761);
+    h2 = Math.imul(h2 ^ c, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/**
+ * Key of an example's first render, from its files (after the code shorthand
+ * is expanded) and the LuatPlayground props that affect the output
+ */
+export function exampleKey({ files, context, entry, routes, url, kv, fixtures }) {
+  return hash(JSON.stringify([
+    files.map(({ name, code }) => [name, code]),
+    context ?? null,
+    entry ?? null,
+    routes ? url || '/' : null,
+    Boolean(kv),
+    fixtures ?? null,
+  ]));
+}
+
+// Whether a URL attribute value is relative or uses a safe scheme, read the
+// way the browser does: character references decoded, tabs and newlines
+// removed anywhere, and leading spaces and control characters ignored
+function isSafeUrl(value) {
+  const url = value
+    .replace(/&(?:#(\d+)|#x([\da-f]+)|([a-z]+));?/gi, (reference, decimal, hex, name) => {
+      if (name) return NAMED_ENTITIES[name.toLowerCase()] ?? reference;
+      return String.fromCodePoint(Math.min(parseInt(decimal ?? hex, decimal ? 10 : 16), 0x10ffff));
+    })
+    .replace(/[\t\n\r]/g, '')
+    .replace(/^[\x00-\x20]+/, '');
+  const scheme = url.match(/^([^/?#]*):/);
+  return !scheme || SAFE_SCHEMES.has(scheme[1].toLowerCase());
+}
+
+// An attribute as name="value", or null when it is unsafe or malformed (as
+// the pieces of an unescaped JSON value in double quotes are)
+function staticAttribute(attr) {
+  const equals = attr.indexOf('=');
+  const name = equals === -1 ? attr : attr.slice(0, equals);
+  if (!ATTRIBUTE_NAME.test(name) || /^on/i.test(name)) return null;
+  if (equals === -1) return name;
+  let value = attr.slice(equals + 1);
+  if (/^["']/.test(value)) value = value.slice(1, value.endsWith(value[0]) && value.length > 1 ? -1 : undefined);
+  if (URL_ATTRIBUTES.has(name.toLowerCase()) && !isSafeUrl(value)) return null;
+  return `${name}="${value.replace(/"/g, '&quot;')}"`;
+}
+
+/**
+ * Output HTML as static markup for the page: well-formed, with every element
+ * closed, and without scripts, styles, frames, document metadata or event
+ * handler attributes
+ */
+export function staticMarkup(html) {
+  let markup = '';
+  const open = [];
+  let skipping = null;
+  let depth = 0;
+  for (const token of tokenizeHtml(html)) {
+    if (skipping) {
+      if (token.type === 'open' && token.name === skipping && !token.selfClosing) depth++;
+      if (token.type === 'close' && token.name === skipping && --depth === 0) skipping = null;
+      continue;
+    }
+    if (token.type === 'open') {
+      if (DROPPED_VOID_ELEMENTS.has(token.name)) continue;
+      if (DROPPED_ELEMENTS.has(token.name)) {
+        if (!token.selfClosing) {
+          skipping = token.name;
+          depth = 1;
+        }
+        continue;
+      }
+      const attrs = token.attrs.map(staticAttribute).filter(Boolean);
+      markup += `<${token.name}${attrs.map(attr => ` ${attr}`).join('')}>`;
+      if (VOID_ELEMENTS.has(token.name)) continue;
+      if (token.selfClosing) {
+        markup += `</${token.name}>`;
+      } else {
+        open.push(token.name);
+      }
+    } else if (token.type === 'close') {
+      // Close the elements left open inside it; drop closing tags that match nothing
+      const index = open.lastIndexOf(token.name);
+      if (index === -1) continue;
+      while (open.length > index) markup += `</${open.pop()}>`;
+    } else if (token.type !== 'doctype') {
+      markup += token.text;
+    }
+  }
+  while (open.length > 0) markup += `</${open.pop()}>`;
+  return markup;
+}
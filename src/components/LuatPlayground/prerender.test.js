@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+// The components are ES modules; jiti loads them the way Docusaurus loads the plugins
+const load = require('jiti')(__filename);
+
+const { staticMarkup } = load('./prerender');
+
+test('scripts, styles and event handlers are left out', () => {
+  assert.equal(
+    staticMarkup('<style>body{}</style><div onclick="go()" class="p-4">Hi<script>go()</script></div>'),
+    '<div class="p-4">Hi</div>',
+  );
+});
+
+test('links to web pages, mail and relative URLs are kept', () => {
+  assert.equal(
+    staticMarkup('<a href="https://example.com/">a</a><a href="mailto:hi@example.com">b</a><a href="/docs?x=a:b">c</a>'),
+    '<a href="https://example.com/">a</a><a href="mailto:hi@example.com">b</a><a href="/docs?x=a:b">c</a>',
+  );
+});
+
+test('URLs with other schemes are dropped, however they are spelled', () => {
+  for (const href of [
+    'javascript:alert(1)',
+    ' JavaScript:alert(1)',
+    'java\tscript:alert(1)',
+    'java&#x09;script:alert(1)',
+    '&#106;avascript:alert(1)',
+    'javascript&colon;alert(1)',
+    'data:text/html,<b>hi</b>',
+  ]) {
+    assert.equal(staticMarkup(`<a href="${href}">x</a>`), '<a>x</a>', href);
+  }
+  assert.equal(staticMarkup('<img src="vbscript:msgbox(1)">'), '<img>');
+});
+
+test('attributes that hold no URL may contain colons', () => {
+  assert.equal(staticMarkup('<p class="hover:underline">x</p>'), '<p class="hover:underline">x</p>');
+});
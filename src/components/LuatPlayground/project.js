@@ -0,0 +1,170 @@
+import { zipSync, strToU8 } from 'fflate';
+import { PREVIEW_RUNTIMES, TAILWIND_VERSION } from './offline';
+import { ROUTES_DIR } from './routes';
+
+// "Download project": the playground files laid out as a `luat init` project
+// (see docs/application/structure.md), so `luat dev` serves the example.
+//
+// Routes-mode files already live under src/. Otherwise the entry file becomes
+// the home page, the context becomes what its load() returns, and every other
+// file goes to src/lib, where require() finds it by the same name.
+
+export const PROJECT_NAME = 'luat-playground';
+
+const PAGE_FILE = `${ROUTES_DIR}+page.luat`;
+const PAGE_SERVER_FILE = `${ROUTES_DIR}+page.server.lua`;
+const LIB_DIR = 'src/lib/';
+
+const LUA_KEYWORDS = new Set([
+  'and', 'break', 'do', 'else', 'elseif', 'end', 'false', 'for', 'function',
+  'goto', 'if', 'in', 'local', 'nil', 'not', 'or', 'repeat', 'return', 'then',
+  'true', 'until', 'while',
+]);
+
+function luaString(text) {
+  const escaped = text.replace(/[\\"\x00-\x1f\x7f]/g, (c) => {
+    if (c === '\\' || c === '"') return `\\${c}`;
+    if (c === '\n') return '\\n';
+    if (c === '\t') return '\\t';
+    if (c === '\r') return '\\r';
+    return `\\${String(c.charCodeAt(0)).padStart(3, '0')}`;
+  });
+  return `"${escaped}"`;
+}
+
+function luaKey(key) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) && !LUA_KEYWORDS.has(key)
+    ? key
+    : `[${luaString(key)}]`;
+}
+
+/**
+ * A JSON value as a Lua expression: objects and arrays become tables, null
+ * becomes nil (object keys that are null are left out)
+ */
+export function toLua(value, depth = 0) {
+  if (value === null || value === undefined) return 'nil';
+  if (typeof value === 'string') return luaString(value);
+  if (typeof value !== 'object') return String(value);
+
+  const pad = '    '.repeat(depth + 1);
+  const items = Array.isArray(value)
+    ? value.map(item => toLua(item, depth + 1))
+    : Object.entries(value)
+      .filter(([, item]) => item !== null && item !== undefined)
+      .map(([key, item]) => `${luaKey(key)} = ${toLua(item, depth + 1)}`);
+  if (items.length === 0) return '{}';
+  return `{\n${items.map(item => `${pad}${item},`).join('\n')}\n${'    '.repeat(depth)}}`;
+}
+
+function luatToml() {
+  return `[project]
+name = "${PROJECT_NAME}"
+version = "0.1.0"
+
+[dev]
+port = 3000
+host = "127.0.0.1"
+
+[routing]
+simplified = false
+routes_dir = "src/routes"
+lib_dir = "src/lib"
+static_dir = "static"
+app_html = "src/app.html"
+
+[frontend]
+enabled = ["tailwind"]
+tailwind_version = "${TAILWIND_VERSION}"
+tailwind_output = "public/css/tailwind.css"
+tailwind_content = ["src/**/*.luat", "src/**/*.lua", "src/**/*.html"]
+`;
+}
+
+// The preview's page shell, with Tailwind compiled by the frontend toolchain
+function appHtml(runtimes) {
+  const scripts = runtimes.map(name => (name === 'alpine'
+    ? `    <script defer src="${PREVIEW_RUNTIMES[name]}"></script>\n`
+    : `    <script src="${PREVIEW_RUNTIMES[name]}"></script>\n`)).join('');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>%luat.title%</title>
+    <link rel="stylesheet" href="/css/tailwind.css">
+${scripts}    <style>
+        body {
+            font-family: system-ui, -apple-system, sans-serif;
+            padding: 1rem;
+            margin: 0;
+        }
+        [x-cloak] { display: none !important; }
+    </style>
+    %luat.head%
+</head>
+<body>
+    %luat.body%
+</body>
+</html>
+`;
+}
+
+function pageServer(context) {
+  return `-- The playground's context, as the props of the page
+function load(ctx)
+    return ${toLua(context, 1)}
+end
+`;
+}
+
+/**
+ * Where each playground file goes in the project: [{path, code}], paths
+ * relative to the project root. `context` is the parsed context object.
+ */
+export function projectFiles({ files, context, entry, routes }) {
+  if (routes) {
+    return files.map(({ name, code }) => ({
+      path: name.startsWith('src/') ? name : LIB_DIR + name,
+      code,
+    }));
+  }
+
+  const entryFile = files.find(f => f.name === entry) || files[0];
+  const placed = files.map(({ name, code }) => ({
+    path: name === entryFile.name ? PAGE_FILE : LIB_DIR + name,
+    code,
+  }));
+  if (context && Object.keys(context).length > 0) {
+    placed.push({ path: PAGE_SERVER_FILE, code: pageServer(context) });
+  }
+  return placed;
+}
+
+/**
+ * Zip the project: luat.toml, src/app.html, the placed files and the Alpine
+ * and htmx runtimes the preview loads (fetched from this site), all inside a
+ * PROJECT_NAME/ directory. Resolves to the zip file's bytes.
+ */
+export async function buildProjectZip({ files, context, entry, routes, alpine, htmx }) {
+  const runtimes = [...(alpine ? ['alpine'] : []), ...(htmx ? ['htmx'] : [])];
+  const entries = {
+    'luat.toml': strToU8(luatToml()),
+    'src/app.html': strToU8(appHtml(runtimes)),
+  };
+  for (const { path, code } of projectFiles({ files, context, entry, routes })) {
+    entries[path] = strToU8(code);
+  }
+  // Served from static/ at the same paths as here, e.g. /vendor/htmx-1.9.12.min.js
+  for (const name of runtimes) {
+    const response = await fetch(PREVIEW_RUNTIMES[name]);
+    if (!response.ok) throw new Error(`Could not fetch ${PREVIEW_RUNTIMES[name]}: ${response.status}`);
+    entries[`static${PREVIEW_RUNTIMES[name]}`] = new Uint8Array(await response.arrayBuffer());
+  }
+
+  const tree = {};
+  for (const [path, bytes] of Object.entries(entries)) {
+    tree[`${PROJECT_NAME}/${path}`] = bytes;
+  }
+  return zipSync(tree, { level: 6 });
+}
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { unzipSync, strFromU8 } = require('fflate');
+// The components are ES modules; jiti loads them the way Docusaurus loads the plugins
+const load = require('jiti')(__filename);
+
+const { buildProjectZip, PROJECT_NAME } = load('./project');
+const { PREVIEW_RUNTIMES, TAILWIND_VERSION } = load('./offline');
+
+test('downloaded projects build the Tailwind release the preview runs', async () => {
+  const zip = unzipSync(await buildProjectZip({ files: [{ name: 'main.luat', code: '<h1>Hi</h1>' }], context: {} }));
+  const toml = strFromU8(zip[`${PROJECT_NAME}/luat.toml`]);
+  assert.match(toml, new RegExp(`tailwind_version = "${TAILWIND_VERSION}"`));
+  assert.ok(PREVIEW_RUNTIMES.tailwind.includes(`-${TAILWIND_VERSION}.`));
+});
@@ -0,0 +1,393 @@
+// File-based routing for playground projects (the playground's "routes" mode).
+//
+// Files under src/routes/ follow the application conventions: +page.luat per
+// route directory, +layout.luat wrapping everything below it, +page.server.lua
+// exporting load(ctx) and form actions, +server.lua with GET/POST/... handlers,
+// (fragments)/ templates for action responses, [param], [[optional]] and
+// [...rest] segments, (group) directories that do not appear in the URL and
+// _private directories that are never routed. A driver template runs the
+// server code and the templates inside the engine, so the whole request is
+// handled in WASM.
+
+import { bridgeFile, definedFields } from './bridge';
+
+export const ROUTES_DIR = 'src/routes/';
+export const ROUTE_DRIVER_NAME = '__luat_route_driver__.luat';
+
+const ROUTE_FILE = /^src\/routes\/(?:(.*)\/)?\+(?:page\.luat|server\.lua)$/;
+
+// Lower ranks win when several routes match the same URL
+const SEGMENT_RANK = { static: 0, param: 1, optional: 2, rest: 3 };
+
+// Pages render to HTML; actions and endpoints to a {status, headers, body} JSON response
+export const ROUTE_DRIVER_SOURCE = `<script>
+local FailResult = {}
+
+-- fail(status, data): an error response that still carries its data
+local function fail(status, data)
+  local result = { status = status }
+  for k, v in pairs(data or {}) do result[k] = v end
+  return setmetatable(result, FailResult)
+end
+
+-- Run a server file in its own environment so its globals (load, actions,
+-- GET, ...) do not replace the engine's. Returns a lookup for its exports.
+local function runServer(file)
+  local env = setmetatable({ fail = fail }, { __index = _G })
+  local chunk, err = load(file.source, "=" .. file.name, "t", env)
+  if not chunk then error(err, 0) end
+  local exports = chunk()
+  return function(name)
+    if type(exports) == "table" and exports[name] ~= nil then return exports[name] end
+    return rawget(env, name)
+  end
+end
+
+local RESERVED = { status = true, headers = true, redirect = true }
+
+-- Result keys other than status, headers and redirect
+local function resultData(result)
+  local data = {}
+  for k, v in pairs(result) do
+    if not RESERVED[k] then data[k] = v end
+  end
+  return data
+end
+
+-- Status and headers of a handler result; redirect = "/x" answers 302 with Location: /x
+local function resultHead(result)
+  local headers = {}
+  for k, v in pairs(result.headers or {}) do headers[k] = tostring(v) end
+  local status = result.status or 200
+  if result.redirect then
+    headers["Location"] = result.redirect
+    if status < 300 or status > 399 then status = 302 end
+  end
+  return status, headers
+end
+
+local function runAction()
+  local ctx = props.ctx
+  if not props.server then
+    return { status = 405, headers = {}, body = "Method Not Allowed: this route has no +page.server.lua" }
+  end
+  local actions = runServer(props.server)("actions")
+  local action = type(actions) == "table" and actions[props.action] or nil
+  if type(action) == "table" then action = action[string.lower(ctx.method)] end
+  if type(action) ~= "function" then
+    return { status = 404, headers = {}, body = "No action named \\"" .. props.action .. "\\" for " .. ctx.method }
+  end
+
+  local result = action(ctx) or {}
+  local status, headers = resultHead(result)
+  if result.redirect then
+    return { status = status, headers = headers, body = "" }
+  end
+  if props.fragment then
+    headers["Content-Type"] = headers["Content-Type"] or "text/html"
+    headers["x-luat-fragment"] = "true"
+    return { status = status, headers = headers, body = require(props.fragment).render(resultData(result)) }
+  end
+  headers["Content-Type"] = headers["Content-Type"] or "application/json"
+  return { status = status, headers = headers, body = json.encode(resultData(result)) }
+end
+
+local function runEndpoint()
+  local ctx = props.ctx
+  local handler = runServer(props.server)(ctx.method)
+  if type(handler) ~= "function" then
+    return { status = 405, headers = {}, body = "Method Not Allowed: +server.lua has no " .. ctx.method .. " handler" }
+  end
+
+  local result = handler(ctx) or {}
+  local status, headers = resultHead(result)
+  local body = result.body
+  if getmetatable(result) == FailResult then body = resultData(result) end
+  if type(body) == "table" then
+    headers["Content-Type"] = headers["Content-Type"] or "application/json"
+    body = json.encode(body)
+  elseif body ~= nil then
+    headers["Content-Type"] = headers["Content-Type"] or "text/plain"
+    body = tostring(body)
+  end
+  return { status = status, headers = headers, body = body or "" }
+end
+
+local function renderPage()
+  local data = {}
+  if props.server then
+    local loader = runServer(props.server)("load")
+    if type(loader) == "function" then
+      data = loader(props.ctx) or {}
+    end
+  end
+
+  local html = require(props.page).render(data)
+  local layouts = props.layouts or {}
+  for i = #layouts, 1, -1 do
+    local layoutProps = {}
+    for k, v in pairs(data) do layoutProps[k] = v end
+    layoutProps.children = html
+    html = require(layouts[i]).render(layoutProps)
+  end
+  return html
+end
+
+local out
+if props.kind == "action" then
+  out = json.encode(runAction())
+elseif props.kind == "endpoint" then
+  out = json.encode(runEndpoint())
+else
+  out = renderPage()
+end
+</script>{@html out}`;
+
+export const ROUTE_DRIVER_FILE = bridgeFile(ROUTE_DRIVER_NAME, ROUTE_DRIVER_SOURCE);
+
+function parseSegment(part) {
+  let match;
+  if ((match = /^\[\.\.\.(\w+)\]$/.exec(part))) return { type: 'rest', name: match[1] };
+  if ((match = /^\[\[(\w+)\]\]$/.exec(part))) return { type: 'optional', name: match[1] };
+  if ((match = /^\[(\w+)\]$/.exec(part))) return { type: 'param', name: match[1] };
+  return { type: 'static', value: part };
+}
+
+function isGroup(part) {
+  return part.startsWith('(') && part.endsWith(')');
+}
+
+function compareRoutes(a, b) {
+  const length = Math.min(a.segments.length, b.segments.length);
+  for (let i = 0; i < length; i++) {
+    const diff = SEGMENT_RANK[a.segments[i].type] - SEGMENT_RANK[b.segments[i].type];
+    if (diff !== 0) return diff;
+  }
+  return a.segments.length - b.segments.length;
+}
+
+/**
+ * Build the route table from the project files, most specific routes first.
+ * Each route is {id, dir, page, server, endpoint, layouts, segments}, where
+ * `id` is the route's URL pattern (e.g. /blog/[slug]), `page`, `server` and
+ * `endpoint` are its +page.luat, +page.server.lua and +server.lua (or null)
+ * and `layouts` the layout files from the outermost in.
+ */
+export function buildRoutes(files) {
+  const names = new Set(files.map(f => f.name));
+  const dirs = new Set();
+  for (const file of files) {
+    const match = ROUTE_FILE.exec(file.name);
+    if (match) dirs.add(match[1] || '');
+  }
+
+  const routes = [];
+  for (const routeDir of dirs) {
+    const parts = routeDir ? routeDir.split('/') : [];
+    if (parts.some(part => part.startsWith('_'))) continue;
+
+    const layouts = [];
+    for (let i = 0; i <= parts.length; i++) {
+      const layout = `${ROUTES_DIR}${parts.slice(0, i).map(p => `${p}/`).join('')}+layout.luat`;
+      if (names.has(layout)) layouts.push(layout);
+    }
+
+    const dir = `${ROUTES_DIR}${parts.map(p => `${p}/`).join('')}`;
+    const existing = (name) => (names.has(`${dir}${name}`) ? `${dir}${name}` : null);
+    const urlParts = parts.filter(part => !isGroup(part));
+
+    routes.push({
+      id: `/${urlParts.join('/')}`,
+      dir,
+      page: existing('+page.luat'),
+      server: existing('+page.server.lua'),
+      endpoint: existing('+server.lua'),
+      layouts,
+      segments: urlParts.map(parseSegment),
+    });
+  }
+
+  return routes.sort(compareRoutes);
+}
+
+function matchSegments(segments, parts, params) {
+  if (segments.length === 0) return parts.length === 0 ? params : null;
+  const [segment, ...rest] = segments;
+
+  switch (segment.type) {
+    case 'static':
+      return parts[0] === segment.value ? matchSegments(rest, parts.slice(1), params) : null;
+    case 'param':
+      return parts.length > 0
+        ? matchSegments(rest, parts.slice(1), { ...params, [segment.name]: parts[0] })
+        : null;
+    case 'optional':
+      return (parts.length > 0 && matchSegments(rest, parts.slice(1), { ...params, [segment.name]: parts[0] }))
+        || matchSegments(rest, parts, params);
+    case 'rest':
+      // Greedy: take as many segments as possible, leaving enough for the rest of the route
+      for (let n = parts.length; n >= 0; n--) {
+        const matched = matchSegments(rest, parts.slice(n), { ...params, [segment.name]: parts.slice(0, n).join('/') });
+        if (matched) return matched;
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Find the route for a URL path. Returns {route, params} or null.
+ */
+export function matchRoute(routes, pathname) {
+  let parts;
+  try {
+    parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (e) {
+    return null;
+  }
+  for (const route of routes) {
+    const params = matchSegments(route.segments, parts, {});
+    if (params) return { route, params };
+  }
+  return null;
+}
+
+/**
+ * Normalize address bar input to a path with query, e.g. "blog/x" -> "/blog/x".
+ * Returns null for input that is not a URL, such as "http://".
+ */
+export function normalizeUrl(input) {
+  try {
+    const parsed = new URL(input.trim().replace(/^(?![a-z]+:|\/)/i, '/'), 'http://localhost');
+    return `${parsed.pathname}${parsed.search}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Resolve a request against the project's routes. `request` is
+ * {method, url, headers, body}, where `body` is the parsed form or JSON body.
+ *
+ * Returns {route, params, kind, props} or null when no route matches. `kind`
+ * says how the driver template handles it: 'page' renders +page.luat,
+ * 'action' runs a form action ("?/name", or any non-GET request to a page)
+ * and 'endpoint' calls the +server.lua handler for the method. `props` are
+ * the driver template props.
+ */
+export function resolveRequest(files, { method = 'GET', url, headers = {}, body }) {
+  const parsed = new URL(url, 'http://localhost');
+  const match = matchRoute(buildRoutes(files), parsed.pathname);
+  if (!match) return null;
+
+  const { route, params } = match;
+  const file = (name) => ({ name, source: files.find(f => f.name === name).code });
+  const moduleName = (name) => name.replace(/\.luat$/, '');
+
+  // "?/name" picks a form action and is not a query parameter
+  const entries = [...parsed.searchParams];
+  const actionKey = entries.map(([key]) => key).find(key => key.startsWith('/'));
+  const ctx = {
+    method,
+    url: parsed.href,
+    path: parsed.pathname,
+    params,
+    query: Object.fromEntries(entries.filter(([key]) => !key.startsWith('/'))),
+    headers,
+  };
+  if (body !== undefined) {
+    ctx.form = body;
+    ctx.body = body;
+    ctx.json = body;
+  }
+
+  let kind = 'page';
+  if (!route.page || (route.endpoint && !actionKey && method !== 'GET')) {
+    kind = 'endpoint';
+  } else if (actionKey || method !== 'GET') {
+    kind = 'action';
+  }
+
+  let props;
+  if (kind === 'endpoint') {
+    props = { kind, ctx, server: file(route.endpoint) };
+  } else if (kind === 'action') {
+    const action = actionKey ? actionKey.slice(1) : 'default';
+    const fragment = [`${method}-${action}.luat`, `${action}.luat`]
+      .map(name => `${route.dir}(fragments)/${name}`)
+      .find(name => files.some(f => f.name === name));
+    props = definedFields({
+      kind,
+      action,
+      ctx,
+      server: route.server && file(route.server),
+      fragment: fragment && moduleName(fragment),
+    });
+  } else {
+    props = definedFields({
+      kind,
+      page: moduleName(route.page),
+      layouts: route.layouts.map(moduleName),
+      ctx,
+      server: route.server && file(route.server),
+    });
+  }
+  return { route, params, kind, props };
+}
+
+/**
+ * The response for a request from the driver template's output
+ */
+export function toResponse(kind, html) {
+  if (kind === 'page') {
+    return { status: 200, headers: { 'Content-Type': 'text/html' }, body: html };
+  }
+  const response = JSON.parse(html);
+  // An empty Lua table encodes as []
+  if (Array.isArray(response.headers)) response.headers = {};
+  return response;
+}
+
+/**
+ * Response for a request no route matches
+ */
+export function notFoundResponse(url) {
+  return {
+    status: 404,
+    headers: { 'Content-Type': 'text/plain' },
+    body: `404 Not Found: no route matches ${url}`,
+  };
+}
+
+/**
+ * Case-insensitive response header lookup
+ */
+export function getHeader(response, name) {
+  const key = Object.keys(response.headers).find(k => k.toLowerCase() === name.toLowerCase());
+  return key ? response.headers[key] : undefined;
+}
+
+/**
+ * Target of a redirect response, or null
+ */
+export function getRedirect(response) {
+  if (response.status < 300 || response.status > 399) return null;
+  return getHeader(response, 'Location') || null;
+}
+
+/**
+ * Path and query a redirect points at, resolved against the URL that was
+ * requested. Null for redirects to other sites.
+ */
+export function resolveLocation(location, from) {
+  const url = new URL(location, new URL(from, 'http://localhost'));
+  return url.origin === 'http://localhost' ? `${url.pathname}${url.search}` : null;
+}
+
+/**
+ * Response for a request whose handler raised an error
+ */
+export function errorResponse(message) {
+  return { status: 500, headers: { 'Content-Type': 'text/plain' }, body: message };
+}
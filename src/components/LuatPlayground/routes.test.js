@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+// The components are ES modules; jiti loads them the way Docusaurus loads the plugins
+const load = require('jiti')(__filename);
+
+const { normalizeUrl, resolveRequest } = load('./routes');
+
+test('normalizeUrl turns address bar input into a path with query', () => {
+  assert.equal(normalizeUrl('blog/hello'), '/blog/hello');
+  assert.equal(normalizeUrl(' /search?q=lua '), '/search?q=lua');
+  assert.equal(normalizeUrl('http://localhost/about#team'), '/about');
+});
+
+test('normalizeUrl returns null for input that is not a URL', () => {
+  assert.equal(normalizeUrl('http://'), null);
+  assert.equal(normalizeUrl('http://['), null);
+});
+
+test('driver props leave out the files a route does not have', () => {
+  const files = [{ name: 'src/routes/blog/[slug]/+page.luat', code: '<h1>{props.slug}</h1>' }];
+  const { kind, props } = resolveRequest(files, { url: '/blog/hello' });
+  assert.equal(kind, 'page');
+  assert.equal(props.page, 'src/routes/blog/[slug]/+page');
+  assert.equal('server' in props, false);
+  assert.equal(JSON.stringify(props).includes('null'), false);
+});
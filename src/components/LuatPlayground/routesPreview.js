@@ -0,0 +1,248 @@
+// The preview's side of routes mode. The preview is a srcdoc iframe, so
+// site-relative links, form submissions, fetch() calls and XMLHttpRequests
+// (htmx) would go nowhere; this script hands them to the playground with
+// postMessage, and the playground answers them from the project (see the
+// message handler in index.js).
+
+// Runs inside the iframe, where it is inlined as source text: it must not use
+// anything from this module's scope. `currentUrl` is the path and query of the
+// page the preview shows.
+function installRoutesPreview(currentUrl) {
+  // Path and query of a URL in the project, or null for other sites
+  function projectUrl(href) {
+    var url = new URL(href, 'http://localhost' + currentUrl);
+    return url.origin === 'http://localhost' ? url.pathname + url.search : null;
+  }
+
+  function fields(data) {
+    var result = {};
+    data.forEach(function (value, key) {
+      result[key] = typeof value === 'string' ? value : value.name;
+    });
+    return result;
+  }
+
+  // Form fields or JSON as an object; other bodies are passed as is
+  function parseBody(body, contentType) {
+    if (body instanceof FormData || body instanceof URLSearchParams) return fields(body);
+    if (body === null || body === undefined) return undefined;
+    if (typeof body !== 'string') return body;
+    if (/x-www-form-urlencoded/i.test(contentType || '')) return fields(new URLSearchParams(body));
+    try {
+      return JSON.parse(body);
+    } catch (e) {
+      return body;
+    }
+  }
+
+  function headerValue(headers, name) {
+    var key = Object.keys(headers).find(function (k) {
+      return k.toLowerCase() === name.toLowerCase();
+    });
+    return key === undefined ? null : headers[key];
+  }
+
+  var pending = {};
+  var nextId = 0;
+
+  // Resolves to the {status, headers, body, url} the playground answered with
+  function sendRequest(request) {
+    var id = ++nextId;
+    return new Promise(function (resolve) {
+      pending[id] = resolve;
+      parent.postMessage({ type: 'luat-fetch', id: id, request: request }, '*');
+    });
+  }
+
+  window.addEventListener('message', function (event) {
+    var data = event.data;
+    if (!data || data.type !== 'luat-response' || !pending[data.id]) return;
+    pending[data.id](data.response);
+    delete pending[data.id];
+  });
+
+  document.addEventListener('click', function (event) {
+    var link = event.target.closest('a[href]');
+    if (!link || link.getAttribute('href').charAt(0) === '#') return;
+    var url = projectUrl(link.getAttribute('href'));
+    if (url === null) return;
+    event.preventDefault();
+    parent.postMessage({ type: 'luat-navigate', href: url }, '*');
+  });
+
+  document.addEventListener('submit', function (event) {
+    if (event.defaultPrevented) return;
+    var form = event.target;
+    var submitter = event.submitter;
+    var action = (submitter && submitter.getAttribute('formaction')) || form.getAttribute('action') || '';
+    var method = ((submitter && submitter.getAttribute('formmethod')) || form.getAttribute('method') || 'GET').toUpperCase();
+    var url = projectUrl(action);
+    if (url === null || method === 'DIALOG') return;
+    event.preventDefault();
+
+    var data = fields(new FormData(form, submitter));
+    if (method === 'GET') {
+      var target = new URL(url, 'http://localhost');
+      target.search = new URLSearchParams(data).toString();
+      parent.postMessage({ type: 'luat-navigate', href: target.pathname + target.search }, '*');
+      return;
+    }
+    parent.postMessage({
+      type: 'luat-request',
+      request: {
+        method: method,
+        url: url,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: data
+      }
+    }, '*');
+  });
+
+  var nativeFetch = window.fetch;
+  window.fetch = function (input, init) {
+    init = init || {};
+    var href = typeof input === 'string' ? input : input instanceof URL ? input.href : null;
+    var url = href === null ? null : projectUrl(href);
+    if (url === null) return nativeFetch.apply(this, arguments);
+
+    var headers = {};
+    new Headers(init.headers).forEach(function (value, key) {
+      headers[key] = value;
+    });
+    return sendRequest({
+      method: (init.method || 'GET').toUpperCase(),
+      url: url,
+      headers: headers,
+      body: parseBody(init.body, headers['content-type']),
+      source: 'fetch'
+    }).then(function (response) {
+      var empty = response.status === 204 || response.status === 304;
+      return new Response(empty ? null : response.body, {
+        status: response.status,
+        headers: response.headers
+      });
+    });
+  };
+
+  // Give an XMLHttpRequest the state of a finished (or aborted) request
+  function settle(xhr, values, events) {
+    Object.keys(values).forEach(function (key) {
+      Object.defineProperty(xhr, key, { value: values[key], configurable: true });
+    });
+    events.forEach(function (type) {
+      xhr.dispatchEvent(new ProgressEvent(type));
+    });
+  }
+
+  // XMLHttpRequest (used by htmx) answered by the playground for project URLs
+  var NativeXHR = window.XMLHttpRequest;
+  class ProjectXHR extends NativeXHR {
+    open(method, url) {
+      this.luatUrl = projectUrl(String(url));
+      if (this.luatUrl === null) return super.open.apply(this, arguments);
+      this.luatMethod = method.toUpperCase();
+      this.luatRequestHeaders = {};
+      this.luatResponseHeaders = {};
+      settle(this, { readyState: 1 }, ['readystatechange']);
+    }
+    setRequestHeader(name, value) {
+      if (!this.luatUrl) return super.setRequestHeader(name, value);
+      this.luatRequestHeaders[name] = String(value);
+    }
+    overrideMimeType(type) {
+      if (!this.luatUrl) super.overrideMimeType(type);
+    }
+    send(body) {
+      if (!this.luatUrl) return super.send(body);
+      var xhr = this;
+      var headers = this.luatRequestHeaders;
+      sendRequest({
+        method: this.luatMethod,
+        url: this.luatUrl,
+        headers: headers,
+        body: parseBody(body, headerValue(headers, 'Content-Type')),
+        source: headerValue(headers, 'HX-Request') ? 'htmx' : 'xhr'
+      }).then(function (response) {
+        if (xhr.luatAborted) return;
+        xhr.luatResponseHeaders = response.headers;
+        settle(xhr, {
+          readyState: 4,
+          status: response.status,
+          statusText: '',
+          response: response.body,
+          responseText: response.body,
+          responseURL: 'http://localhost' + response.url
+        }, ['readystatechange', 'load', 'loadend']);
+      });
+    }
+    abort() {
+      if (!this.luatUrl) return super.abort();
+      this.luatAborted = true;
+      settle(this, { readyState: 0, status: 0 }, ['abort', 'loadend']);
+    }
+    getResponseHeader(name) {
+      if (!this.luatUrl) return super.getResponseHeader(name);
+      return headerValue(this.luatResponseHeaders, name);
+    }
+    getAllResponseHeaders() {
+      if (!this.luatUrl) return super.getAllResponseHeaders();
+      var headers = this.luatResponseHeaders;
+      return Object.keys(headers).map(function (name) {
+        return name.toLowerCase() + ': ' + headers[name] + '\r\n';
+      }).join('');
+    }
+  }
+  window.XMLHttpRequest = ProjectXHR;
+
+  // The preview has no history of its own: HX-Redirect and HX-Refresh
+  // become playground navigations, and history updates go to the address bar
+  if (window.htmx) {
+    htmx.config.historyEnabled = false;
+    htmx.config.historyCacheSize = 0;
+
+    // htmx resolves request paths against location.href, which is
+    // about:srcdoc here and cannot be a base; use the address instead
+    var NativeURL = window.URL;
+    window.URL = class extends NativeURL {
+      constructor(url, base) {
+        super(url, base === location.href ? 'http://localhost' + currentUrl : base);
+      }
+    };
+
+    var updateAddress = function (path) {
+      var url = projectUrl(path);
+      if (url === null) return;
+      currentUrl = url;
+      parent.postMessage({ type: 'luat-address', href: url }, '*');
+    };
+
+    document.addEventListener('htmx:beforeOnLoad', function (event) {
+      var xhr = event.detail.xhr;
+      var redirect = xhr.getResponseHeader('HX-Redirect');
+      if (redirect || xhr.getResponseHeader('HX-Refresh') === 'true') {
+        event.preventDefault();
+        parent.postMessage({ type: 'luat-navigate', href: projectUrl(redirect || currentUrl) }, '*');
+        return;
+      }
+      var location = xhr.getResponseHeader('HX-Location');
+      if (location) {
+        updateAddress(location.charAt(0) === '{' ? JSON.parse(location).path : location);
+      }
+    });
+    document.addEventListener('htmx:pushedIntoHistory', function (event) {
+      updateAddress(event.detail.path);
+    });
+    document.addEventListener('htmx:replacedInHistory', function (event) {
+      updateAddress(event.detail.path);
+    });
+  }
+}
+
+/**
+ * The <script> element that installs the routes mode handlers in a preview
+ * document showing `url`
+ */
+export function routesPreviewScript(url) {
+  const argument = JSON.stringify(url).replace(/</g, '\\u003c');
+  return `<script>(${installRoutesPreview})(${argument});</script>`;
+}
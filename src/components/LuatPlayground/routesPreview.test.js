@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+// The components are ES modules; jiti loads them the way Docusaurus loads the plugins
+const load = require('jiti')(__filename);
+
+const { routesPreviewScript } = load('./routesPreview');
+
+// Run the script element in a stand-in for the preview document, recording
+// the messages it posts to the playground
+function runInPreview(url) {
+  const element = routesPreviewScript(url);
+  const match = element.match(/^<script>([\s\S]*)<\/script>$/);
+  assert.ok(match && !match[1].includes('</'), 'one script element that nothing inside ends early');
+
+  const listeners = {};
+  const eventTarget = {
+    addEventListener(type, listener) {
+      listeners[type] = listener;
+    },
+  };
+  const messages = [];
+  const original = { fetch() {}, XMLHttpRequest: class {} };
+  const window = { ...eventTarget, ...original };
+  vm.runInNewContext(match[1], {
+    window,
+    document: eventTarget,
+    parent: { postMessage: message => messages.push({ ...message }) },
+    URL,
+  });
+  return { window, original, listeners, messages };
+}
+
+function click(listeners, href) {
+  let prevented = false;
+  listeners.click({
+    target: { closest: () => ({ getAttribute: () => href }) },
+    preventDefault: () => { prevented = true; },
+  });
+  return prevented;
+}
+
+test('links in the project are handed to the playground, resolved against the page', () => {
+  const { listeners, messages } = runInPreview('/blog/first-post');
+  assert.equal(click(listeners, 'second-post?draft=1'), true);
+  assert.deepEqual(messages, [{ type: 'luat-navigate', href: '/blog/second-post?draft=1' }]);
+});
+
+test('links to other sites and to anchors are left alone', () => {
+  const { listeners, messages } = runInPreview('/');
+  assert.equal(click(listeners, 'https://example.com/'), false);
+  assert.equal(click(listeners, '#top'), false);
+  assert.deepEqual(messages, []);
+});
+
+test('fetch and XMLHttpRequest are replaced', () => {
+  const { window, original } = runInPreview('/');
+  assert.notEqual(window.fetch, original.fetch);
+  assert.equal(Object.getPrototypeOf(window.XMLHttpRequest), original.XMLHttpRequest);
+});
+
+test('a page URL cannot end the script element', () => {
+  runInPreview('/search?q=</script><script>alert(1)');
+});
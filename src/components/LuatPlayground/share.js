@@ -0,0 +1,95 @@
+import { deflateSync, inflateSync, strToU8, strFromU8 } from 'fflate';
+
+// Permalinks store the playground state in the URL hash as #code=<payload>,
+// where the payload is base64url-encoded, deflate-compressed JSON.
+const HASH_PREFIX = '#code=';
+export const PLAYGROUND_PATH = '/playground';
+
+// LuatPlayground props a permalink carries besides the files, each with the
+// values it accepts. Props that are off (or invalid) are left out.
+const MODES = {
+  routes: value => value === true,
+  url: value => typeof value === 'string',
+  kv: value => value === true || typeof value === 'string',
+  fixtures: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  alpine: value => value === true,
+  htmx: value => value === true,
+};
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Encode a playground project ({files, context, entry} and the mode props in
+ * MODES) into a URL-safe string. `context` is the raw JSON text of the context
+ * pane; it, `entry` and the modes are omitted when absent.
+ */
+export function encodeProject({ files, context, entry, ...modes }) {
+  const payload = { files: files.map(({ name, code }) => ({ name, code })) };
+  if (context !== undefined && context !== null) {
+    payload.context = context;
+  }
+  if (entry) {
+    payload.entry = entry;
+  }
+  for (const [name, accepts] of Object.entries(MODES)) {
+    if (accepts(modes[name])) payload[name] = modes[name];
+  }
+  return toBase64Url(deflateSync(strToU8(JSON.stringify(payload)), { level: 9 }));
+}
+
+/**
+ * Decode a project from a location hash: {files, context, entry} plus the
+ * modes the link sets. Returns null for hashes that are missing, malformed or
+ * do not contain a usable file list.
+ */
+export function decodeProject(hash) {
+  if (!hash || !hash.startsWith(HASH_PREFIX)) return null;
+  try {
+    const payload = JSON.parse(strFromU8(inflateSync(fromBase64Url(hash.slice(HASH_PREFIX.length)))));
+    const files = Array.isArray(payload.files)
+      ? payload.files.filter(f => f && typeof f.name === 'string' && typeof f.code === 'string')
+      : [];
+    if (files.length === 0) return null;
+    const project = {
+      files,
+      context: typeof payload.context === 'string' ? payload.context : undefined,
+      entry: files.some(f => f.name === payload.entry) ? payload.entry : undefined,
+    };
+    for (const [name, accepts] of Object.entries(MODES)) {
+      if (accepts(payload[name])) project[name] = payload[name];
+    }
+    return project;
+  } catch (e) {
+    console.error('Failed to decode playground link:', e);
+    return null;
+  }
+}
+
+/**
+ * Build the site-relative /playground path that opens the given project
+ */
+export function getPlaygroundPath(project) {
+  return `${PLAYGROUND_PATH}${HASH_PREFIX}${encodeProject(project)}`;
+}
+
+/**
+ * Build an absolute /playground permalink for the given project
+ */
+export function getShareUrl(project) {
+  return `${window.location.origin}${getPlaygroundPath(project)}`;
+}
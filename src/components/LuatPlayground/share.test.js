@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+// The components are ES modules; jiti loads them the way Docusaurus loads the plugins
+const load = require('jiti')(__filename);
+
+const { encodeProject, decodeProject } = load('./share');
+
+const files = [
+  { name: 'main.luat', code: '<script>\nlocal Card = require("Card")\n</script>\n<Card title="Hi" />' },
+  { name: 'Card.luat', code: '<h2>{props.title}</h2>' },
+];
+
+function roundTrip(project) {
+  return decodeProject(`#code=${encodeProject(project)}`);
+}
+
+test('files, context and entry survive a round trip', () => {
+  assert.deepEqual(roundTrip({ files, context: '{"title": "Hi"}', entry: 'Card.luat' }), {
+    files,
+    context: '{"title": "Hi"}',
+    entry: 'Card.luat',
+  });
+});
+
+test('routes and url survive a round trip', () => {
+  const routeFiles = [{ name: 'src/routes/blog/[slug]/+page.luat', code: '<h1>{props.slug}</h1>' }];
+  const project = roundTrip({ files: routeFiles, routes: true, url: '/blog/hello?draft=1' });
+  assert.equal(project.routes, true);
+  assert.equal(project.url, '/blog/hello?draft=1');
+});
+
+test('kv survives a round trip, in memory or under a store name', () => {
+  assert.equal(roundTrip({ files, kv: true }).kv, true);
+  assert.equal(roundTrip({ files, kv: 'guestbook' }).kv, 'guestbook');
+});
+
+test('fixtures survive a round trip', () => {
+  const fixtures = {
+    'GET https://api.example.com/products': { body: [{ id: 1, name: 'Lamp' }], delay: 200 },
+    'https://api.example.com/down': { error: 'connection refused' },
+  };
+  assert.deepEqual(roundTrip({ files, fixtures }).fixtures, fixtures);
+});
+
+test('alpine survives a round trip', () => {
+  assert.equal(roundTrip({ files, alpine: true }).alpine, true);
+});
+
+test('htmx survives a round trip', () => {
+  assert.equal(roundTrip({ files, htmx: true }).htmx, true);
+});
+
+test('modes that are off are left out', () => {
+  const project = roundTrip({ files, routes: false, kv: false, fixtures: undefined, alpine: false, htmx: undefined });
+  assert.equal('routes' in project, false);
+  assert.equal('kv' in project, false);
+  assert.equal('fixtures' in project, false);
+  assert.equal('alpine' in project, false);
+  assert.equal('htmx' in project, false);
+});
+
+test('links without a usable file list decode to null', () => {
+  assert.equal(decodeProject(''), null);
+  assert.equal(decodeProject('#code=not-a-payload'), null);
+  assert.equal(decodeProject(`#code=${encodeProject({ files: [] })}`), null);
+});
@@ -0,0 +1,201 @@
+// In-browser test runner for playground projects.
+//
+// Companion *.test.lua files are executed by a harness template that is added
+// next to the project's templates. The harness receives the test sources as
+// props, runs each one in a sandboxed environment that provides describe/it/
+// expect/render, and renders the results as JSON:
+//
+//   describe("Button", function()
+//     it("renders the label", function()
+//       expect(render("Button", { label = "Save" })):toContain("Save")
+//     end)
+//   end)
+
+export const TEST_HARNESS_NAME = '__luat_test_harness__.luat';
+
+const TEST_FILE = /\.test\.lua$/;
+
+export function isTestFile(name) {
+  return TEST_FILE.test(name);
+}
+
+export const TEST_HARNESS_SOURCE = `<script>
+local results = {}
+local scope = {}
+local currentFile = nil
+
+local function describeValue(value)
+  if type(value) == "string" then return string.format("%q", value) end
+  return tostring(value)
+end
+
+local function deepEqual(a, b)
+  if a == b then return true end
+  if type(a) ~= "table" or type(b) ~= "table" then return false end
+  for k, v in pairs(a) do
+    if not deepEqual(v, b[k]) then return false end
+  end
+  for k in pairs(b) do
+    if a[k] == nil then return false end
+  end
+  return true
+end
+
+local function record(name, ok, err)
+  local fullName = name
+  if #scope > 0 then fullName = table.concat(scope, " > ") .. " > " .. name end
+  table.insert(results, {
+    file = currentFile,
+    name = fullName,
+    passed = ok,
+    error = (not ok) and tostring(err) or nil,
+  })
+end
+
+local function expect(actual)
+  local m = {}
+  local function check(pass, message)
+    if not pass then error(message, 3) end
+  end
+  function m:toBe(expected)
+    check(actual == expected, "expected " .. describeValue(actual) .. " to be " .. describeValue(expected))
+  end
+  function m:toEqual(expected)
+    check(deepEqual(actual, expected), "expected " .. describeValue(actual) .. " to equal " .. describeValue(expected))
+  end
+  function m:toBeNil()
+    check(actual == nil, "expected " .. describeValue(actual) .. " to be nil")
+  end
+  function m:toBeTruthy()
+    check(actual, "expected " .. describeValue(actual) .. " to be truthy")
+  end
+  function m:toBeFalsy()
+    check(not actual, "expected " .. describeValue(actual) .. " to be falsy")
+  end
+  function m:toContain(expected)
+    local found = false
+    if type(actual) == "string" then
+      found = string.find(actual, expected, 1, true) ~= nil
+    elseif type(actual) == "table" then
+      for _, v in pairs(actual) do
+        if v == expected then found = true end
+      end
+    end
+    check(found, "expected " .. describeValue(actual) .. " to contain " .. describeValue(expected))
+  end
+  function m:toMatch(pattern)
+    check(type(actual) == "string" and string.find(actual, pattern) ~= nil,
+      "expected " .. describeValue(actual) .. " to match " .. describeValue(pattern))
+  end
+  function m:toThrow(expected)
+    local ok, err = pcall(actual)
+    check(not ok, "expected function to throw")
+    if expected then
+      check(string.find(tostring(err), expected, 1, true) ~= nil,
+        "expected error " .. describeValue(tostring(err)) .. " to contain " .. describeValue(expected))
+    end
+  end
+  return m
+end
+
+local env = setmetatable({
+  expect = expect,
+  describe = function(name, fn)
+    table.insert(scope, name)
+    local ok, err = pcall(fn)
+    table.remove(scope)
+    if not ok then record(name, false, err) end
+  end,
+  it = function(name, fn)
+    local ok, err = pcall(fn)
+    record(name, ok, err)
+  end,
+  render = function(name, componentProps)
+    local module = require((string.gsub(name, "%.luat$", "")))
+    return module.render(componentProps or {})
+  end,
+}, { __index = _G })
+env.test = env.it
+
+for _, file in ipairs(props.files or {}) do
+  currentFile = file.name
+  scope = {}
+  local chunk, loadError = load(file.source, "=" .. file.name, "t", env)
+  if chunk then
+    local ok, err = pcall(chunk)
+    if not ok then record("(top level)", false, err) end
+  else
+    record("(syntax)", false, loadError)
+  end
+end
+
+local function encodeString(s)
+  return '"' .. string.gsub(s, '[%c"\\\\]', function(c)
+    return string.format("\\\\u%04x", string.byte(c))
+  end) .. '"'
+end
+
+local parts = {}
+for _, r in ipairs(results) do
+  table.insert(parts, "{" ..
+    '"file":' .. encodeString(r.file) ..
+    ',"name":' .. encodeString(r.name) ..
+    ',"passed":' .. tostring(r.passed) ..
+    ',"error":' .. (r.error and encodeString(r.error) or "null") .. "}")
+end
+local report = "[" .. table.concat(parts, ",") .. "]"
+</script>{@html report}`;
+
+/**
+ * Parse the harness output into [{file, name, passed, error}].
+ * Throws when the output is not a result list.
+ */
+export function parseTestResults(html) {
+  const results = JSON.parse(html.trim());
+  if (!Array.isArray(results)) throw new Error('Unexpected test harness output');
+  return results;
+}
+
+/**
+ * Group test results by file, keeping files that defined no tests
+ */
+export function groupResultsByFile(testFiles, results) {
+  return testFiles.map(file => {
+    const tests = results.filter(r => r.file === file.name);
+    return {
+      file: file.name,
+      tests,
+      failed: tests.filter(t => !t.passed).length,
+    };
+  });
+}
+
+/**
+ * Run the project's *.test.lua files on a leased engine client. The project
+ * templates must already be loaded; the harness is added for the run and
+ * removed again. Resolves to {suites, error, timedOut}.
+ */
+export async function runProjectTests(engine, files, { timeout } = {}) {
+  const testFiles = files.filter(f => isTestFile(f.name));
+  if (testFiles.length === 0) {
+    return { suites: [], error: null, timedOut: false };
+  }
+  const props = { files: testFiles.map(f => ({ name: f.name, source: f.code })) };
+
+  await engine.addTemplate(TEST_HARNESS_NAME, TEST_HARNESS_SOURCE);
+  let result;
+  try {
+    result = await engine.renderWithError(TEST_HARNESS_NAME, props, { timeout });
+  } finally {
+    await engine.removeTemplate(TEST_HARNESS_NAME);
+  }
+
+  if (!result.success) {
+    return { suites: [], error: result.error, timedOut: !!result.timedOut };
+  }
+  return {
+    suites: groupResultsByFile(testFiles, parseTestResults(result.html)),
+    error: null,
+    timedOut: false,
+  };
+}
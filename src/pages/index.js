@@ -12,6 +12,64 @@ import { Rocket, BookOpen } from 'lucide-react';
 import Heading from '@theme/Heading';
 import styles from './index.module.css';
 
+// The hero's code window, with its each block highlighted
+const heroFiles = [
+  {
+    name: 'ProductList.luat',
+    highlight: '13-20',
+    code: `<!-- ProductList.luat -->
+<script>
+  local ProductCard = require("ProductCard")
+  local products = props.products or {}
+</script>
+
+<section class="p-6">
+  <h1 class="text-2xl font-bold mb-4">
+    Featured Products
+  </h1>
+
+  <div class="grid grid-cols-3 gap-4">
+    {#each products as product}
+      <ProductCard
+        name={product.name}
+        price={product.price}
+        image={product.image}
+        inStock={product.inStock}
+      />
+    {/each}
+  </div>
+
+  {#if #products == 0}
+    <p class="text-gray-500 text-center">
+      No products found.
+    </p>
+  {/if}
+</section>`,
+  },
+  {
+    name: 'ProductCard.luat',
+    code: `<!-- ProductCard.luat -->
+<article class="rounded-lg border p-4">
+  {#if props.image}
+    <img src={props.image} alt={props.name} class="mb-2 rounded" />
+  {/if}
+  <h2 class="font-semibold">{props.name}</h2>
+  <p class="text-gray-700">\${props.price}</p>
+  {#if not props.inStock}
+    <span class="text-sm text-red-600">Sold out</span>
+  {/if}
+</article>`,
+  },
+];
+
+const heroContext = {
+  products: [
+    { name: 'Lua Mug', price: 12, inStock: true },
+    { name: 'Rust Tee', price: 25, inStock: false },
+    { name: 'Sticker Pack', price: 4, inStock: true },
+  ],
+};
+
 function HomepageHeader() {
   const {siteConfig} = useDocusaurusContext();
   return (
@@ -65,7 +123,7 @@ function HomepageHeader() {
             </div>
           </div>
           <div className={styles.heroCode}>
-            <CodeExample />
+            <CodeExample files={heroFiles} entry="ProductList.luat" context={heroContext} />
           </div>
         </div>
       </div>
@@ -0,0 +1,165 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import Layout from '@theme/Layout';
+import Link from '@docusaurus/Link';
+import Heading from '@theme/Heading';
+import LuatPlayground from '@site/src/components/LuatPlayground';
+import { RotateCcw } from 'lucide-react';
+import { decodeProject, PLAYGROUND_PATH } from '@site/src/components/LuatPlayground/share';
+import styles from './playground.module.css';
+
+const STORAGE_KEY = 'luat-playground-project';
+
+const defaultProject = {
+  files: [
+    {
+      name: 'main.luat',
+      code: `<script>
+local Greeting = require("Greeting")
+local languages = { "Lua", "Rust", "HTML" }
+</script>
+
+<div class="p-4 space-y-3">
+    <Greeting name="Luat" />
+    <ul class="list-disc pl-5">
+        {#each languages as language}
+            <li>{language}</li>
+        {/each}
+    </ul>
+</div>`,
+    },
+    {
+      name: 'Greeting.luat',
+      code: `<h1 class="text-2xl font-bold">Hello, {props.name}!</h1>`,
+    },
+  ],
+  context: '{}',
+  entry: 'main.luat',
+};
+
+// Restore the last edited project, ignoring anything unreadable
+function loadStoredProject() {
+  try {
+    const project = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (project && Array.isArray(project.files) && project.files.length > 0) {
+      return project;
+    }
+  } catch (e) {
+    console.error('Failed to restore playground project:', e);
+  }
+  return null;
+}
+
+function saveStoredProject(project) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(project));
+  } catch (e) {
+    // Storage may be full or disabled (private browsing); the session keeps working
+  }
+}
+
+// A project with the context pane shown, unless it renders routes (which get
+// no context); a link without a context decodes with context: undefined
+function withDefaults(project) {
+  return { ...project, context: project.context ?? (project.routes ? undefined : '{}') };
+}
+
+// Whether an onChange report is still the project as it was opened (the
+// playground reports its files once when it mounts). An entry the project
+// did not name is whichever one the playground picked.
+function isUnedited(reported, opened) {
+  return reported.files.length === opened.files.length
+    && reported.files.every((f, i) => f.name === opened.files[i].name && f.code === opened.files[i].code)
+    && (reported.context ?? null) === (opened.context ?? null)
+    && (opened.entry === undefined || reported.entry === opened.entry);
+}
+
+export default function Playground() {
+  const [project, setProject] = useState(null);
+  const [projectKey, setProjectKey] = useState(0);
+  const unsavedShareRef = useRef(null); // Project opened from a link and not edited yet
+
+  const openProject = useCallback((nextProject) => {
+    setProject(withDefaults(nextProject));
+    setProjectKey(key => key + 1);
+  }, []);
+
+  // A permalink hash (#code=...) wins over the stored project, but opening it
+  // does not replace the project saved in this browser. It is saved, and the
+  // hash dropped so reloading keeps the edits, once it is edited.
+  useEffect(() => {
+    const loadFromHash = () => {
+      const decoded = decodeProject(window.location.hash);
+      const shared = decoded && withDefaults(decoded);
+      unsavedShareRef.current = shared;
+      openProject(shared || loadStoredProject() || defaultProject);
+    };
+
+    loadFromHash();
+    window.addEventListener('hashchange', loadFromHash);
+    return () => window.removeEventListener('hashchange', loadFromHash);
+  }, [openProject]);
+
+  const saveProject = useCallback((reported) => {
+    const shared = unsavedShareRef.current;
+    if (shared) {
+      if (isUnedited(reported, shared)) return;
+      unsavedShareRef.current = null;
+      window.history.replaceState(null, '', PLAYGROUND_PATH);
+    }
+    saveStoredProject(reported);
+  }, []);
+
+  const startOver = () => {
+    if (!window.confirm('Discard your files and restore the example project?')) return;
+    window.localStorage.removeItem(STORAGE_KEY);
+    unsavedShareRef.current = null;
+    window.history.replaceState(null, '', PLAYGROUND_PATH);
+    openProject(defaultProject);
+  };
+
+  return (
+    <Layout
+      title="Playground"
+      description="Write, run and share Luat templates in your browser">
+      <main className={styles.main}>
+        <div className="container">
+          <div className={styles.header}>
+            <div>
+              <Heading as="h1" className={styles.title}>Luat Playground</Heading>
+              <p className={styles.subtitle}>
+                Write, run and share Luat templates in your browser. See
+                the <Link to="/docs/playground">playground guide</Link> for what it can do.
+              </p>
+            </div>
+            <button className="button button--secondary button--sm" onClick={startOver}>
+              <RotateCcw size={14} className={styles.buttonIcon} />
+              Start over
+            </button>
+          </div>
+          {project ? (
+            <LuatPlayground
+              key={projectKey}
+              files={project.files}
+              context={project.context}
+              entry={project.entry}
+              routes={project.routes}
+              url={project.url}
+              kv={project.kv}
+              fixtures={project.fixtures}
+              alpine={project.alpine}
+              htmx={project.htmx}
+              height={520}
+              manageFiles
+              resizable
+              live
+              benchmark
+              onChange={saveProject}
+            />
+          ) : (
+            <div className={styles.placeholder}>Loading playground...</div>
+          )}
+        </div>
+      </main>
+    </Layout>
+  );
+}
@@ -0,0 +1,122 @@
+// Prism grammar for .luat templates: HTML with Lua inside <script> blocks,
+// {expression} and {#block} tags, and components as capitalized tags. Used
+// for ```luat code fences (see src/theme/prism-include-languages.js) and by
+// CodeExample. Needs the lua grammar to be loaded first.
+
+// The body of a {...} tag: Lua strings, and braces nested two deep for table
+// constructors
+const BODY = String.raw`(?:[^{}"']|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|\{(?:[^{}]|\{[^{}]*\})*\})*`;
+const EXPRESSION = String.raw`\{${BODY}\}`;
+
+// The braces around a tag's body, named apart from Lua's own punctuation
+const BRACE = {
+  pattern: /^\{|\}$/,
+  alias: 'punctuation',
+};
+
+export default function luat(Prism) {
+  const lua = Prism.languages.lua;
+
+  const expression = {
+    pattern: new RegExp(EXPRESSION),
+    greedy: true,
+    inside: {
+      spread: {
+        pattern: /^(\{\s*)\.\.\.(?=[A-Za-z_])/,
+        lookbehind: true,
+        alias: 'operator',
+      },
+      brace: BRACE,
+      ...lua,
+    },
+  };
+
+  // {#if}, {:else if}, {/each}, sensitive {!if} blocks and {@html} style tags
+  const block = {
+    pattern: new RegExp(String.raw`\{[#:/!@]${BODY}\}`),
+    greedy: true,
+    inside: {
+      'block-keyword': {
+        pattern: /^(\{)[#:/!@](?:else\s+if|[a-z]+)\b/,
+        lookbehind: true,
+        alias: 'keyword',
+      },
+      brace: BRACE,
+      'each-as': {
+        pattern: /(\s)as(?=\s)/,
+        lookbehind: true,
+        alias: 'keyword',
+      },
+      ...lua,
+    },
+  };
+
+  const escape = {
+    pattern: /\\[{}]/,
+    alias: 'entity',
+  };
+
+  Prism.languages.luat = Prism.languages.extend('markup', {
+    script: {
+      pattern: /(<script\b[^>]*>)[\s\S]*?(?=<\/script>)/i,
+      lookbehind: true,
+      greedy: true,
+      inside: lua,
+      alias: 'language-lua',
+    },
+    tag: {
+      pattern: new RegExp(String.raw`<\/?(?!\d)[^\s>\/=$<%{]+(?:\s*(?:${EXPRESSION}|[^\s>\/={"']+(?:\s*=\s*(?:"[^"]*"|'[^']*'|${EXPRESSION}|[^\s'">=]+(?=[\s>])))?))*\s*\/?>`),
+      greedy: true,
+      inside: {
+        tag: {
+          pattern: /^<\/?[^\s>\/]+/,
+          inside: {
+            punctuation: /^<\/?/,
+            // Components, e.g. <Card> or <Layout.Header>
+            'class-name': /^[A-Z][\w.]*$/,
+            namespace: /^[^\s>\/:]+:/,
+          },
+        },
+        'attr-value': {
+          pattern: new RegExp(String.raw`=\s*(?:"[^"]*"|'[^']*'|${EXPRESSION}|[^\s'">=]+)`),
+          inside: {
+            punctuation: [
+              /^=/,
+              {
+                pattern: /^(\s*)["']|["']$/,
+                lookbehind: true,
+              },
+            ],
+            escape,
+            expression,
+          },
+        },
+        // Spreads and shorthand attributes, {...props} and {name}
+        expression,
+        punctuation: /\/?>/,
+        'attr-name': {
+          pattern: /[^\s>\/]+/,
+          inside: {
+            namespace: /^[^\s>\/:]+:/,
+          },
+        },
+      },
+    },
+  });
+
+  Prism.languages.insertBefore('luat', 'comment', {
+    // {/* ... */} and {-- ... --}
+    'luat-comment': {
+      pattern: /\{\/\*[\s\S]*?\*\/\}|\{--[\s\S]*?--\}/,
+      greedy: true,
+      alias: 'comment',
+    },
+  });
+
+  // After tags, so the braces of attribute values stay inside their tag
+  Prism.languages.insertBefore('luat', 'entity', {
+    escape,
+    block,
+    expression,
+  });
+}
@@ -0,0 +1,91 @@
+/**
+ * Luat offline cache
+ *
+ * Keeps the playground usable without a network: the engine (worker, glue and
+ * wasm) and the preview runtimes in /vendor are precached on install, and
+ * pages and their bundles are cached as they are visited. Only the versioned
+ * runtimes are served from the cache first; everything else comes from the
+ * network while there is one. Registered by the playground component (see
+ * src/components/LuatPlayground/offline.js).
+ */
+
+const CACHE_NAME = 'luat-offline-v2';
+
+// Keep in sync with PREVIEW_RUNTIMES in src/components/LuatPlayground/offline.js
+const PRECACHE_URLS = [
+  '/wasm/luat-worker.js',
+  '/wasm/luat-wasm.js',
+  '/wasm/luat_wasm.wasm',
+  '/vendor/tailwindcss-play-3.4.10.js',
+  '/vendor/alpinejs-3.17.4.min.js',
+  '/vendor/htmx-1.9.12.min.js',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith('luat-offline-') && key !== CACHE_NAME)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Serve from cache, refreshing the entry in the background
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  const fresh = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || fresh;
+}
+
+// Prefer the network so deploys show up immediately, fall back to the cache offline
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (e) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith('/vendor/')) {
+    // Versioned file names: an upgrade is a new URL
+    event.respondWith(staleWhileRevalidate(request));
+  } else if (
+    url.pathname.startsWith('/wasm/')
+    || request.mode === 'navigate'
+    || url.pathname.startsWith('/assets/')
+    || url.pathname.startsWith('/img/')
+  ) {
+    // The engine keeps its file names across releases, so a cached copy would
+    // run the old engine (and fail minVersion checks) until the next load
+    event.respondWith(networkFirst(request));
+  }
+});
@@ -0,0 +1,101 @@
+/**
+ * Luat engine worker
+ *
+ * Hosts the Luat WASM module off the main thread so that a runaway template
+ * (e.g. an infinite Lua loop) never freezes the page. The playground talks to
+ * it through messages of the form {id, type, ...args} and receives
+ * {id, result} or {id, error} in reply.
+ */
+
+importScripts('luat-wasm.js');
+
+let engine = null;
+
+const ready = (async () => {
+  const createModule = self.Module;
+  engine = await createModule({
+    locateFile: (path) => new URL(path, self.location.href).href,
+  });
+
+  const result = engine.ccall('luat_init', 'number', [], []);
+  if (result !== 0) {
+    throw new Error('Failed to initialize Luat engine');
+  }
+})();
+
+const handlers = {
+  addTemplate({ path, source }) {
+    const r = engine.ccall('luat_add_template', 'number', ['string', 'string'], [path, source]);
+    if (r !== 0) throw new Error(`Failed to add template: ${path}`);
+    return null;
+  },
+
+  clearTemplates() {
+    engine.ccall('luat_clear_templates', 'number', [], []);
+    return null;
+  },
+
+  removeTemplate({ path }) {
+    engine.ccall('luat_remove_template', 'number', ['string'], [path]);
+    return null;
+  },
+
+  // Built-in engine self-tests; the summary also goes to stdout
+  runTests() {
+    const resultPtr = engine.ccall('luat_run_tests', 'number', [], []);
+    if (resultPtr === 0) throw new Error('Internal error');
+    const resultJson = engine.UTF8ToString(resultPtr);
+    engine._luat_free_string(resultPtr);
+    return JSON.parse(resultJson);
+  },
+
+  // Renders `repeat` times and reports the last result. renderMs is the mean
+  // time per render: browsers coarsen performance.now(), so a fast render is
+  // only measurable as part of a batch.
+  renderWithError({ entry, context = {}, repeat = 1 }) {
+    const contextJson = JSON.stringify(context);
+    let result;
+    let renders = 0;
+    const renderStart = performance.now();
+    while (renders < repeat) {
+      const resultPtr = engine.ccall('luat_render_with_error', 'number', ['string', 'string'], [entry, contextJson]);
+      renders++;
+      if (resultPtr === 0) {
+        result = { success: false, html: null, error: 'Internal error' };
+        break;
+      }
+      result = JSON.parse(engine.UTF8ToString(resultPtr));
+      engine._luat_free_string(resultPtr);
+      if (!result.success) break;
+    }
+    const renderMs = (performance.now() - renderStart) / renders;
+    return { ...result, renderMs };
+  },
+};
+
+// Version string (static, must not be freed) and the names of the exported entry points
+function engineInfo() {
+  return {
+    version: engine.UTF8ToString(engine.ccall('luat_version', 'number', [], [])),
+    capabilities: Object.keys(engine)
+      .filter((key) => key.startsWith('_luat_'))
+      .map((key) => key.slice('_luat_'.length)),
+  };
+}
+
+ready.then(
+  () => self.postMessage({ type: 'ready', info: engineInfo() }),
+  (e) => self.postMessage({ type: 'error', error: e.message })
+);
+
+self.onmessage = async (event) => {
+  const { id, type, ...args } = event.data;
+  try {
+    await ready;
+    const handler = handlers[type];
+    if (!handler) throw new Error(`Unknown message type: ${type}`);
+    self.postMessage({ id, result: handler(args) });
+  } catch (e) {
+    self.postMessage({ id, error: e.message });
+  }
+};